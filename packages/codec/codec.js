@@ -0,0 +1,298 @@
+// Compact binary encoding for player_state messages
+// Shared by the data channels, the transports and the relay server, so it has no
+// dependencies on the DOM, WebRTC or Node. It is its own package (@cubechat/codec)
+// so the client and server/ both depend on it without reaching into each other.
+//
+// Layout (little endian):
+//   u8  magic (0xCB - never '{', so binary and JSON payloads can't be confused)
+//   u8  version
+//   u8  message type (1 = player_state)
+//   u16 flags (FLAG_* below)
+//   f64 timestamp, shared network time in ms (version 2+; see clock.js)
+//   str peerId
+//   3 x i32 position, in 1/100 units
+//   3 x i16 velocity, in 1/100 units per second (clamped)
+//   u16 yaw, 0..2π mapped onto 0..65535
+//   str name                  - only with FLAG_NAME
+//   str color                 - only with FLAG_COLOR
+//   10 x f32 billboard        - only with FLAG_BILLBOARD: position, quaternion, height, width, aspectRatio
+// Strings are a u8 byte length followed by UTF-8 bytes.
+//
+// Mixed versions: decoders accept every version up to CODEC_VERSION, and version 1
+// frames (no timestamp) are timed by when they arrive. Version 1 clients reject
+// newer frames, so whoever forwards to them - the relay, or a peer over a data
+// channel - notes the version each sender uses and sends them toCodecVersion1().
+
+export const CODEC_MAGIC = 0xCB;
+export const CODEC_VERSION = 2;
+
+const MESSAGE_PLAYER_STATE = 1;
+
+const FLAG_HAS_MEDIA = 1 << 0;
+const FLAG_SCREEN_SHARING = 1 << 1;
+const FLAG_NAME = 1 << 2;
+const FLAG_COLOR = 1 << 3;
+const FLAG_BILLBOARD = 1 << 4;
+const FLAG_SFU = 1 << 5; // Sender gets and sends media through the SFU (sfu-client.js)
+const FLAG_MIC_MUTED = 1 << 6;
+const FLAG_CAM_OFF = 1 << 7;
+
+const POSITION_SCALE = 100;
+const VELOCITY_SCALE = 100;
+const YAW_SCALE = 65535 / (Math.PI * 2);
+const MAX_STRING_BYTES = 255;
+
+// Resend name and color at least this often so peers that missed a change catch up
+const KEYFRAME_INTERVAL = 2000;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function encodeString(value) {
+  let bytes = textEncoder.encode(value || '');
+  if (bytes.length > MAX_STRING_BYTES) {
+    bytes = bytes.subarray(0, MAX_STRING_BYTES);
+  }
+  return bytes;
+}
+
+function quantize(value, scale, min, max) {
+  return Math.max(min, Math.min(max, Math.round((value || 0) * scale)));
+}
+
+function wrapYaw(rotation) {
+  const twoPi = Math.PI * 2;
+  return (((rotation || 0) % twoPi) + twoPi) % twoPi;
+}
+
+// True for payloads produced by this codec (ArrayBuffer, Uint8Array or Node Buffer)
+export function isBinaryMessage(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function toBytes(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// Codec version of a binary payload, or null if it isn't one of ours
+export function getCodecVersion(payload) {
+  const bytes = toBytes(payload);
+  return bytes.length > 1 && bytes[0] === CODEC_MAGIC ? bytes[1] : null;
+}
+
+// The same player_state as a version 1 frame: identical layout without the timestamp
+export function toCodecVersion1(payload) {
+  const bytes = toBytes(payload);
+  if (bytes[1] < 2) return bytes;
+
+  const converted = new Uint8Array(bytes.length - 8);
+  converted.set(bytes.subarray(0, 5));
+  converted[1] = 1;
+  converted.set(bytes.subarray(13), 5);
+  return converted;
+}
+
+// Encode a full local player state, stamped with `timestamp` (shared network time).
+// Name and color are only included when `includeStrings` is set -
+// PlayerStateEncoder decides when that is.
+export function encodePlayerState(state, includeStrings = true, timestamp = Date.now()) {
+  const peerIdBytes = encodeString(state.id);
+  const nameBytes = includeStrings ? encodeString(state.name) : null;
+  const colorBytes = includeStrings ? encodeString(state.color) : null;
+  const billboard = state.screenSharing ? state.billboardData : null;
+
+  let flags = 0;
+  if (state.hasMedia) flags |= FLAG_HAS_MEDIA;
+  if (state.screenSharing) flags |= FLAG_SCREEN_SHARING;
+  if (nameBytes) flags |= FLAG_NAME;
+  if (colorBytes) flags |= FLAG_COLOR;
+  if (billboard) flags |= FLAG_BILLBOARD;
+  if (state.sfu) flags |= FLAG_SFU;
+  if (state.micMuted) flags |= FLAG_MIC_MUTED;
+  if (state.camOff) flags |= FLAG_CAM_OFF;
+
+  const size = 5 + 8 +
+    1 + peerIdBytes.length +
+    12 + 6 + 2 +
+    (nameBytes ? 1 + nameBytes.length : 0) +
+    (colorBytes ? 1 + colorBytes.length : 0) +
+    (billboard ? 40 : 0);
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const writeString = (stringBytes) => {
+    view.setUint8(offset, stringBytes.length);
+    bytes.set(stringBytes, offset + 1);
+    offset += 1 + stringBytes.length;
+  };
+
+  view.setUint8(offset++, CODEC_MAGIC);
+  view.setUint8(offset++, CODEC_VERSION);
+  view.setUint8(offset++, MESSAGE_PLAYER_STATE);
+  view.setUint16(offset, flags, true);
+  offset += 2;
+  view.setFloat64(offset, timestamp, true);
+  offset += 8;
+
+  writeString(peerIdBytes);
+
+  const position = state.position || { x: 0, y: 0, z: 0 };
+  for (const axis of ['x', 'y', 'z']) {
+    view.setInt32(offset, quantize(position[axis], POSITION_SCALE, -2147483648, 2147483647), true);
+    offset += 4;
+  }
+
+  const velocity = state.velocity || { x: 0, y: 0, z: 0 };
+  for (const axis of ['x', 'y', 'z']) {
+    view.setInt16(offset, quantize(velocity[axis], VELOCITY_SCALE, -32768, 32767), true);
+    offset += 2;
+  }
+
+  view.setUint16(offset, Math.round(wrapYaw(state.rotation) * YAW_SCALE) % 65536, true);
+  offset += 2;
+
+  if (nameBytes) writeString(nameBytes);
+  if (colorBytes) writeString(colorBytes);
+
+  if (billboard) {
+    const values = [
+      billboard.position?.x, billboard.position?.y, billboard.position?.z,
+      billboard.quaternion?.x ?? 0, billboard.quaternion?.y ?? 0,
+      billboard.quaternion?.z ?? 0, billboard.quaternion?.w ?? 1,
+      billboard.height, billboard.width, billboard.aspectRatio
+    ];
+    for (const value of values) {
+      view.setFloat32(offset, value || 0, true);
+      offset += 4;
+    }
+  }
+
+  return bytes;
+}
+
+// Decode a binary player_state into { type, peerId, timestamp, data }
+// Version 1 messages have no timestamp (null) - use the time they arrived.
+// `data` only contains name/color when the sender included them; merge it
+// into the previously known state for that peer.
+export function decodePlayerState(payload) {
+  const bytes = toBytes(payload);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const readString = () => {
+    const length = view.getUint8(offset);
+    const value = textDecoder.decode(bytes.subarray(offset + 1, offset + 1 + length));
+    offset += 1 + length;
+    return value;
+  };
+
+  if (view.getUint8(offset++) !== CODEC_MAGIC) {
+    throw new Error('Not a binary player_state message');
+  }
+  const version = view.getUint8(offset++);
+  if (version < 1 || version > CODEC_VERSION) {
+    throw new Error(`Unsupported player_state codec version: ${version}`);
+  }
+  const messageType = view.getUint8(offset++);
+  if (messageType !== MESSAGE_PLAYER_STATE) {
+    throw new Error(`Unknown binary message type: ${messageType}`);
+  }
+  const flags = view.getUint16(offset, true);
+  offset += 2;
+
+  let timestamp = null;
+  if (version >= 2) {
+    timestamp = view.getFloat64(offset, true);
+    offset += 8;
+  }
+
+  const peerId = readString();
+
+  const position = {};
+  for (const axis of ['x', 'y', 'z']) {
+    position[axis] = view.getInt32(offset, true) / POSITION_SCALE;
+    offset += 4;
+  }
+
+  const velocity = {};
+  for (const axis of ['x', 'y', 'z']) {
+    velocity[axis] = view.getInt16(offset, true) / VELOCITY_SCALE;
+    offset += 2;
+  }
+
+  const rotation = view.getUint16(offset, true) / YAW_SCALE;
+  offset += 2;
+
+  const data = {
+    position,
+    velocity,
+    rotation,
+    hasMedia: !!(flags & FLAG_HAS_MEDIA),
+    screenSharing: !!(flags & FLAG_SCREEN_SHARING),
+    sfu: !!(flags & FLAG_SFU),
+    micMuted: !!(flags & FLAG_MIC_MUTED),
+    camOff: !!(flags & FLAG_CAM_OFF),
+    billboardData: null
+  };
+
+  if (flags & FLAG_NAME) data.name = readString();
+  if (flags & FLAG_COLOR) data.color = readString();
+
+  if (flags & FLAG_BILLBOARD) {
+    const values = [];
+    for (let i = 0; i < 10; i++) {
+      values.push(view.getFloat32(offset, true));
+      offset += 4;
+    }
+    data.billboardData = {
+      position: { x: values[0], y: values[1], z: values[2] },
+      quaternion: { x: values[3], y: values[4], z: values[5], w: values[6] },
+      height: values[7],
+      width: values[8],
+      aspectRatio: values[9]
+    };
+  }
+
+  return { type: 'player_state', peerId, timestamp, data };
+}
+
+// Decode any incoming payload: binary player_state or a legacy/control JSON string
+export function decodeMessage(payload) {
+  if (isBinaryMessage(payload)) {
+    return decodePlayerState(payload);
+  }
+  return JSON.parse(payload);
+}
+
+// Encodes successive states of the local player, only including name and color
+// when they changed, on a periodic keyframe, or when a keyframe was requested
+// (e.g. because a new peer showed up).
+export class PlayerStateEncoder {
+  constructor() {
+    this.lastName = null;
+    this.lastColor = null;
+    this.lastKeyframeTime = 0;
+  }
+
+  requestKeyframe() {
+    this.lastKeyframeTime = 0;
+  }
+
+  encode(state, timestamp) {
+    const now = Date.now();
+    const includeStrings = state.name !== this.lastName ||
+      state.color !== this.lastColor ||
+      now - this.lastKeyframeTime >= KEYFRAME_INTERVAL;
+
+    if (includeStrings) {
+      this.lastName = state.name;
+      this.lastColor = state.color;
+      this.lastKeyframeTime = now;
+    }
+
+    return encodePlayerState(state, includeStrings, timestamp);
+  }
+}
@@ -57,8 +57,14 @@ async function main() {
   // Subscribe to the game topic to relay messages
   const TOPIC = '/tron-overworld/1.0.0';
   node.services.pubsub.subscribe(TOPIC);
+
+  // Also relay pubsub peer discovery so browsers can find each other's
+  // circuit relay addresses through this node
+  const DISCOVERY_TOPIC = '_peer-discovery._p2p._pubsub';
+  node.services.pubsub.subscribe(DISCOVERY_TOPIC);
   
   node.services.pubsub.addEventListener('message', (evt) => {
+    if (evt.detail.topic !== TOPIC) return;
     const peerId = evt.detail.from.toString();
     console.log(`Relaying message from ${peerId}`);
   });
@@ -0,0 +1,677 @@
+import { WebSocketServer } from 'ws';
+import os from 'os';
+import crypto from 'crypto';
+import nodeDataChannel from 'node-datachannel';
+
+// Selective forwarding unit for crowded areas.
+// Each client publishes its tracks once over a "publish" peer connection and
+// receives the tracks of the peers it subscribes to over a "subscribe" peer
+// connection, instead of sending its camera to every nearby peer (full mesh).
+// RTP packets are forwarded as-is; only the SSRC and payload type are rewritten
+// to the ones negotiated with each subscriber. Nothing is decoded or re-encoded,
+// so publishers must send VP8 video and Opus audio (the client asks for those).
+//
+// Signaling runs over this server's own WebSocket (SFU_PORT):
+//   client -> sfu: join { peerId, room }
+//                  publish { sdp, tracks: { mid: role } }     - offer for the publish connection
+//                  answer { sdp }                              - answer for the subscribe connection
+//                  subscribe { publisherId, layer }  /  unsubscribe { publisherId }
+//                  layer { publisherId, layer }                - simulcast layer of its camera, null = pause
+//                  candidate { target: 'publish' | 'subscribe', candidate, mid }
+//   sfu -> client: join_rejected { reason }                   - peerId already has a live session
+//                  publish_answer { sdp }
+//                  offer { sdp, tracks: { mid: { publisherId, role } } }
+//                  track_map { tracks: { mid: { publisherId, role } } }
+//                  candidate { target, candidate, mid }
+
+const PORT = process.env.SFU_PORT || 8081;
+
+// Sockets that don't answer a ping within this interval are dropped, so a session
+// left behind by a dead connection frees its peerId for the owner's next join
+const PING_INTERVAL = 15000;
+
+// STUN/TURN servers for the SFU's own candidates, comma-separated, e.g. stun:stun.l.google.com:19302
+// Usually not needed when the SFU has a public (or LAN) address.
+const ICE_SERVERS = (process.env.SFU_ICE_SERVERS || '').split(',').map(url => url.trim()).filter(Boolean);
+// UDP port range for media, e.g. 40000-40100, to make firewalling easier
+const [PORT_RANGE_BEGIN, PORT_RANGE_END] = (process.env.SFU_RTC_PORTS || '').split('-').map(port => parseInt(port, 10));
+
+// Payload types offered to subscribers (browsers accept whatever we offer)
+const VIDEO_PAYLOAD_TYPE = 96;
+const AUDIO_PAYLOAD_TYPE = 111;
+
+// Cameras are published as simulcast layers 'q', 'h' and 'f' (quarter, half and full
+// resolution - see src/p2p/video-quality.js); each subscriber picks one per publisher
+const DEFAULT_LAYER = 'h';
+const RID_EXTENSION = 'urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id';
+// Timestamp step inserted when a slot switches to another layer or publisher (~1 frame)
+const TIMESTAMP_GAP = { video: 3000, audio: 960 };
+// Minimum time between keyframe requests while waiting to switch layers (ms)
+const KEYFRAME_REQUEST_INTERVAL = 250;
+// A layer counts as arriving if it sent a packet this recently (ms). Browsers skip
+// layers that would be too small for the capture size and drop the top ones when
+// bandwidth is short, so a slot whose layer isn't arriving gets the nearest one that is.
+const LAYER_TIMEOUT = 1000;
+
+const wss = new WebSocketServer({
+  port: PORT,
+  host: '0.0.0.0' // Listen on all network interfaces
+});
+
+// Helper function to get local IP
+function getLocalIP() {
+  const interfaces = os.networkInterfaces();
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family === 'IPv4' && !iface.internal) {
+        return iface.address;
+      }
+    }
+  }
+  return 'localhost';
+}
+
+// peerId -> client
+// {
+//   ws, peerId, room,
+//   publishPc, manifest: { mid: role },
+//   published: Map of mid -> { kind, track, forwards: Set of slots, rids, ridExtensionId, ssrcLayers },
+//   subscribePc, slots: [{ mid, kind, track, ssrc, source: { publisherId, mid } | null, layer, ... }],
+//   subscriptions: Set of publisherIds, layers: Map of publisherId -> layer,
+//   negotiating, renegotiate
+// }
+const clients = new Map();
+
+function createPeerConnection(client, target, options = {}) {
+  const config = { iceServers: ICE_SERVERS, ...options };
+  if (PORT_RANGE_BEGIN && PORT_RANGE_END) {
+    config.portRangeBegin = PORT_RANGE_BEGIN;
+    config.portRangeEnd = PORT_RANGE_END;
+  }
+
+  const pc = new nodeDataChannel.PeerConnection(`${client.peerId}-${target}`, config);
+  pc.onLocalCandidate((candidate, mid) => {
+    send(client, { type: 'candidate', target, candidate, mid });
+  });
+  pc.onStateChange((state) => {
+    console.log(`[${client.peerId}] ${target} connection ${state}`);
+  });
+  return pc;
+}
+
+function send(client, message) {
+  if (client.ws.readyState === client.ws.OPEN) {
+    client.ws.send(JSON.stringify(message));
+  }
+}
+
+// Preferred codec (first payload type) and simulcast layers of each m-line, by mid
+function parseMediaSections(sdp) {
+  const sections = new Map();
+  let current = null;
+
+  for (const line of sdp.split(/\r?\n/)) {
+    if (line.startsWith('m=')) {
+      const [kind, , , payloadType] = line.substring(2).split(' ');
+      current = { kind, payloadType: parseInt(payloadType, 10), codec: null, rids: [], ridExtensionId: null };
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('a=mid:')) {
+      sections.set(line.substring(6).trim(), current);
+    } else if (line.startsWith(`a=rtpmap:${current.payloadType} `)) {
+      current.codec = line.split(' ')[1].split('/')[0];
+    } else if (line.startsWith('a=rid:') && line.includes(' send')) {
+      current.rids.push(line.substring(6).split(' ')[0]);
+    } else if (line.startsWith('a=extmap:') && line.includes(` ${RID_EXTENSION}`)) {
+      current.ridExtensionId = parseInt(line.substring(9), 10);
+    }
+  }
+  return sections;
+}
+
+function isRtcp(packet) {
+  return packet.length >= 2 && packet[1] >= 192 && packet[1] <= 223;
+}
+
+// Picture loss indication or full intra request from a subscriber
+function isKeyframeRequest(packet) {
+  const format = packet[0] & 0x1f;
+  return packet[1] === 206 && (format === 1 || format === 4);
+}
+
+// Offset of the RTP payload: fixed header, CSRCs and header extension
+function getPayloadOffset(packet) {
+  let offset = 12 + 4 * (packet[0] & 0x0f);
+  if (packet[0] & 0x10) {
+    offset += 4 + packet.readUInt16BE(offset + 2) * 4;
+  }
+  return offset;
+}
+
+// Value of a one-byte header extension (RFC 8285), or null
+function readHeaderExtension(packet, id) {
+  if (!(packet[0] & 0x10)) return null;
+
+  const start = 12 + 4 * (packet[0] & 0x0f);
+  if (packet.readUInt16BE(start) !== 0xBEDE) return null;
+  const end = start + 4 + packet.readUInt16BE(start + 2) * 4;
+
+  for (let i = start + 4; i < end;) {
+    if (packet[i] === 0) { // Padding
+      i++;
+      continue;
+    }
+    const elementId = packet[i] >> 4;
+    const length = (packet[i] & 0x0f) + 1;
+    if (elementId === 15) break;
+    if (elementId === id) {
+      return packet.toString('ascii', i + 1, i + 1 + length);
+    }
+    i += 1 + length;
+  }
+  return null;
+}
+
+// First packet of a VP8 keyframe (RFC 7741 payload descriptor + VP8 frame header)
+function isVp8KeyframeStart(packet) {
+  let offset = getPayloadOffset(packet);
+  const descriptor = packet[offset++];
+  const startOfPartition = (descriptor & 0x10) && (descriptor & 0x07) === 0;
+  if (!startOfPartition) return false;
+
+  if (descriptor & 0x80) {
+    const extension = packet[offset++];
+    if (extension & 0x80) offset += (packet[offset] & 0x80) ? 2 : 1; // PictureID
+    if (extension & 0x40) offset++; // TL0PICIDX
+    if (extension & 0x30) offset++; // TID / KEYIDX
+  }
+  return offset < packet.length && (packet[offset] & 0x01) === 0;
+}
+
+// Simulcast layer (rid) of a packet: null when the track isn't simulcast,
+// undefined while its SSRC hasn't been seen with a rid yet
+function getPacketLayer(published, packet) {
+  if (published.rids.length === 0) return null;
+
+  const ssrc = packet.readUInt32BE(8);
+  if (!published.ssrcLayers.has(ssrc) && published.ridExtensionId) {
+    const rid = readHeaderExtension(packet, published.ridExtensionId);
+    if (rid) {
+      published.ssrcLayers.set(ssrc, rid);
+    }
+  }
+  return published.ssrcLayers.get(ssrc);
+}
+
+// ----- Publishing -----
+
+function handlePublish(client, message) {
+  if (!client.publishPc) {
+    client.publishPc = createPeerConnection(client, 'publish');
+    client.publishPc.onLocalDescription((sdp, type) => {
+      if (type === 'answer') {
+        send(client, { type: 'publish_answer', sdp });
+      }
+    });
+    client.publishPc.onTrack((track) => {
+      registerPublishedTrack(client, track);
+    });
+  }
+
+  client.manifest = message.tracks || {};
+  client.mediaSections = parseMediaSections(message.sdp);
+  client.mediaSections.forEach((section, mid) => {
+    if (section.codec && !/^(VP8|opus)$/i.test(section.codec)) {
+      console.warn(`[${client.peerId}] Publishes ${section.codec} on mid ${mid} - only VP8/Opus can be forwarded`);
+    }
+  });
+
+  // The answer is generated automatically and sent from onLocalDescription
+  client.publishPc.setRemoteDescription(message.sdp, 'offer');
+  console.log(`[${client.peerId}] Publishing:`, client.manifest);
+
+  refreshSubscribers(client);
+}
+
+function registerPublishedTrack(client, track) {
+  const mid = track.mid();
+  const section = client.mediaSections?.get(mid);
+  const published = {
+    kind: track.type(),
+    track,
+    forwards: new Set(),
+    rids: section?.rids || [],
+    ridExtensionId: section?.ridExtensionId,
+    ssrcLayers: new Map(), // SSRC -> rid, learned from the rid header extension
+    layerLastSeen: new Map(), // rid -> time its last packet arrived
+    lastKeyframeRequest: 0
+  };
+  client.published.set(mid, published);
+
+  // Handles RTCP for us and makes requestKeyframe() work
+  track.setMediaHandler(new nodeDataChannel.RtcpReceivingSession());
+  track.onMessage((packet) => {
+    if (isRtcp(packet)) return;
+    const layer = getPacketLayer(published, packet);
+    if (layer) {
+      published.layerLastSeen.set(layer, Date.now());
+    }
+    published.forwards.forEach(slot => forwardPacket(packet, layer, published, slot));
+  });
+
+  const layers = published.rids.length > 0 ? ` with layers ${published.rids.join(', ')}` : '';
+  console.log(`[${client.peerId}] Receiving ${published.kind}${layers} on mid ${mid} (${client.manifest[mid] || 'unknown role'})`);
+  refreshSubscribers(client);
+}
+
+// The publisher only sends a keyframe when asked. The PLI goes to whichever
+// layer's SSRC was received last, so keep asking (throttled) until the
+// wanted layer delivers one.
+function requestKeyframe(published) {
+  const now = Date.now();
+  if (now - published.lastKeyframeRequest < KEYFRAME_REQUEST_INTERVAL) return;
+  published.lastKeyframeRequest = now;
+  published.track.requestKeyframe();
+}
+
+// Layer to forward for a subscriber that wants `wanted`: that one while it's
+// arriving, otherwise the arriving layer closest to it (rids are lowest first,
+// ties go to the lower one)
+function getForwardLayer(published, wanted) {
+  const now = Date.now();
+  const isArriving = (rid) => now - (published.layerLastSeen.get(rid) ?? -Infinity) <= LAYER_TIMEOUT;
+  if (isArriving(wanted)) return wanted;
+
+  const wantedIndex = published.rids.indexOf(wanted);
+  let nearest = wanted;
+  let nearestDistance = Infinity;
+  published.rids.forEach((rid, index) => {
+    const distance = Math.abs(index - wantedIndex);
+    if (distance < nearestDistance && isArriving(rid)) {
+      nearest = rid;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// Send a publisher's packet on a subscriber slot if it carries the slot's layer.
+// The slot's layer falls back to a neighbouring one while it isn't being sent.
+// Each slot is one continuous stream to the subscriber, so switching layers (or
+// publishers) waits for a keyframe and continues the sequence numbers and
+// timestamps where the previous source left off. SSRC and payload type are the
+// ones negotiated with the subscriber.
+function forwardPacket(packet, layer, published, slot) {
+  if (!slot.track.isOpen() || slot.layer === null) return; // Closed, or paused by the subscriber
+  if (layer === undefined) return; // Simulcast packet from a layer we can't identify yet
+
+  const wanted = layer === null ? null : getForwardLayer(published, slot.layer);
+  if (!slot.synced || (layer !== null && layer !== slot.currentLayer)) {
+    if (layer !== null && layer !== wanted) return;
+    if (slot.kind === 'video' && !isVp8KeyframeStart(packet)) {
+      requestKeyframe(published);
+      return;
+    }
+    const sequenceNumber = packet.readUInt16BE(2);
+    const timestamp = packet.readUInt32BE(4);
+    slot.sequenceOffset = (slot.lastSequenceNumber + 1 - sequenceNumber) & 0xffff;
+    slot.timestampOffset = (slot.lastTimestamp + TIMESTAMP_GAP[slot.kind] - timestamp) >>> 0;
+    slot.currentLayer = layer;
+    slot.synced = true;
+  } else if (layer !== null && layer !== wanted) {
+    // Still on the old layer until the wanted one sends a keyframe
+    requestKeyframe(published);
+  }
+
+  const copy = Buffer.from(packet);
+  const sequenceNumber = (copy.readUInt16BE(2) + slot.sequenceOffset) & 0xffff;
+  const timestamp = (copy.readUInt32BE(4) + slot.timestampOffset) >>> 0;
+  copy[1] = (copy[1] & 0x80) | (slot.kind === 'video' ? VIDEO_PAYLOAD_TYPE : AUDIO_PAYLOAD_TYPE);
+  copy.writeUInt16BE(sequenceNumber, 2);
+  copy.writeUInt32BE(timestamp, 4);
+  copy.writeUInt32BE(slot.ssrc, 8);
+  slot.lastSequenceNumber = sequenceNumber;
+  slot.lastTimestamp = timestamp;
+  slot.track.sendMessageBinary(copy);
+}
+
+// Published tracks that are currently sending, as role -> mid
+function getActiveRoles(publisher) {
+  const roles = new Map();
+  Object.entries(publisher.manifest || {}).forEach(([mid, role]) => {
+    if (publisher.published.has(mid)) {
+      roles.set(role, mid);
+    }
+  });
+  return roles;
+}
+
+// A publisher's tracks changed - update everyone subscribed to it
+function refreshSubscribers(publisher) {
+  clients.forEach((subscriber) => {
+    if (subscriber.subscriptions.has(publisher.peerId)) {
+      attachPublisher(subscriber, publisher);
+    }
+  });
+}
+
+// ----- Subscribing -----
+
+function handleSubscribe(client, publisherId, layer) {
+  const publisher = clients.get(publisherId);
+  if (!publisher || publisher.room !== client.room || publisherId === client.peerId) return;
+
+  if (layer !== undefined) {
+    client.layers.set(publisherId, layer);
+  }
+  client.subscriptions.add(publisherId);
+  attachPublisher(client, publisher);
+}
+
+function getLayer(subscriber, publisherId) {
+  return subscriber.layers.has(publisherId) ? subscriber.layers.get(publisherId) : DEFAULT_LAYER;
+}
+
+// Switch the simulcast layer of a publisher's camera (null pauses it)
+function handleLayer(client, publisherId, layer) {
+  client.layers.set(publisherId, layer);
+
+  client.slots.forEach((slot) => {
+    if (slot.source?.publisherId === publisherId && slot.source.role === 'camera') {
+      slot.layer = layer;
+      if (layer === null) {
+        slot.synced = false; // Resume with a keyframe
+      }
+    }
+  });
+}
+
+function handleUnsubscribe(client, publisherId) {
+  if (!client.subscriptions.delete(publisherId)) return;
+  detachPublisher(client, publisherId);
+  sendTrackMap(client);
+}
+
+// Point one subscriber slot at each of the publisher's active tracks, reusing
+// free slots and only adding new ones (which needs renegotiation) when out of them
+function attachPublisher(subscriber, publisher) {
+  const roles = getActiveRoles(publisher);
+  const activeMids = new Set(roles.values());
+  let addedSlots = false;
+
+  // Drop roles the publisher stopped sending
+  subscriber.slots.forEach((slot) => {
+    if (slot.source?.publisherId === publisher.peerId && !activeMids.has(slot.source.mid)) {
+      releaseSlot(slot);
+    }
+  });
+
+  roles.forEach((mid, role) => {
+    const published = publisher.published.get(mid);
+    const attached = subscriber.slots.some(slot =>
+      slot.source?.publisherId === publisher.peerId && slot.source.mid === mid);
+    if (attached) return;
+
+    let slot = subscriber.slots.find(candidate => !candidate.source && candidate.kind === published.kind);
+    if (!slot) {
+      slot = addSlot(subscriber, published.kind);
+      addedSlots = true;
+    }
+
+    slot.source = { publisherId: publisher.peerId, mid, role };
+    // Only the camera follows the subscriber's quality tier
+    slot.layer = role === 'camera' ? getLayer(subscriber, publisher.peerId) : undefined;
+    slot.synced = false;
+    published.forwards.add(slot);
+    published.track.requestKeyframe();
+    console.log(`[${subscriber.peerId}] Forwarding ${publisher.peerId}'s ${role} on mid ${slot.mid}`);
+  });
+
+  if (addedSlots) {
+    negotiateSubscriber(subscriber);
+  } else {
+    sendTrackMap(subscriber);
+  }
+}
+
+function detachPublisher(subscriber, publisherId) {
+  subscriber.slots.forEach((slot) => {
+    if (slot.source?.publisherId === publisherId) {
+      releaseSlot(slot);
+    }
+  });
+}
+
+function releaseSlot(slot) {
+  const publisher = clients.get(slot.source.publisherId);
+  publisher?.published.get(slot.source.mid)?.forwards.delete(slot);
+  slot.source = null;
+}
+
+// New send-only track on the subscriber's connection
+function addSlot(subscriber, kind) {
+  if (!subscriber.subscribePc) {
+    subscriber.subscribePc = createPeerConnection(subscriber, 'subscribe', { disableAutoNegotiation: true });
+    subscriber.subscribePc.onLocalDescription((sdp, type) => {
+      if (type === 'offer') {
+        send(subscriber, { type: 'offer', sdp, tracks: getTrackMap(subscriber) });
+      }
+    });
+  }
+
+  const mid = `${kind === 'video' ? 'v' : 'a'}${subscriber.slots.length}`;
+  const ssrc = crypto.randomBytes(4).readUInt32BE(0);
+  const name = `sfu-${mid}`;
+
+  let media;
+  if (kind === 'video') {
+    media = new nodeDataChannel.Video(mid, 'SendOnly');
+    media.addVP8Codec(VIDEO_PAYLOAD_TYPE);
+  } else {
+    media = new nodeDataChannel.Audio(mid, 'SendOnly');
+    media.addOpusCodec(AUDIO_PAYLOAD_TYPE);
+  }
+  media.addSSRC(ssrc, name, name, name);
+
+  const slot = {
+    mid,
+    kind,
+    ssrc,
+    source: null,
+    track: subscriber.subscribePc.addTrack(media),
+    layer: undefined, // Wanted simulcast layer, null = paused
+    currentLayer: null,
+    synced: false,
+    sequenceOffset: 0,
+    timestampOffset: 0,
+    lastSequenceNumber: crypto.randomBytes(2).readUInt16BE(0),
+    lastTimestamp: crypto.randomBytes(4).readUInt32BE(0)
+  };
+
+  // Pass the subscriber's keyframe requests on to whoever the slot forwards
+  slot.track.onMessage((packet) => {
+    if (!slot.source || !isRtcp(packet) || !isKeyframeRequest(packet)) return;
+    clients.get(slot.source.publisherId)?.published.get(slot.source.mid)?.track.requestKeyframe();
+  });
+
+  subscriber.slots.push(slot);
+  return slot;
+}
+
+// Offer the subscriber its (new) set of tracks - one negotiation at a time
+function negotiateSubscriber(subscriber) {
+  if (subscriber.negotiating) {
+    subscriber.renegotiate = true;
+    return;
+  }
+  subscriber.negotiating = true;
+  subscriber.renegotiate = false;
+  subscriber.subscribePc.setLocalDescription('offer');
+}
+
+function handleAnswer(client, message) {
+  if (!client.subscribePc) return;
+
+  client.subscribePc.setRemoteDescription(message.sdp, 'answer');
+  client.negotiating = false;
+  if (client.renegotiate) {
+    negotiateSubscriber(client);
+  }
+}
+
+// Which publisher and role each of the subscriber's mids currently carries
+function getTrackMap(subscriber) {
+  const tracks = {};
+  subscriber.slots.forEach((slot) => {
+    if (!slot.source) return;
+    const publisher = clients.get(slot.source.publisherId);
+    const role = publisher?.manifest[slot.source.mid];
+    if (role) {
+      tracks[slot.mid] = { publisherId: slot.source.publisherId, role };
+    }
+  });
+  return tracks;
+}
+
+function sendTrackMap(subscriber) {
+  send(subscriber, { type: 'track_map', tracks: getTrackMap(subscriber) });
+}
+
+function handleCandidate(client, message) {
+  const pc = message.target === 'subscribe' ? client.subscribePc : client.publishPc;
+  if (!pc || !message.candidate) return;
+
+  try {
+    pc.addRemoteCandidate(message.candidate, message.mid || '');
+  } catch (error) {
+    console.warn(`[${client.peerId}] Could not add ${message.target} candidate:`, error.message);
+  }
+}
+
+function removeClient(client) {
+  clients.delete(client.peerId);
+
+  // Stop forwarding this client's tracks to everyone else...
+  clients.forEach((subscriber) => {
+    if (subscriber.subscriptions.delete(client.peerId)) {
+      detachPublisher(subscriber, client.peerId);
+      sendTrackMap(subscriber);
+    }
+  });
+  // ...and other clients' tracks to it
+  client.slots.forEach((slot) => {
+    if (slot.source) releaseSlot(slot);
+  });
+
+  client.publishPc?.close();
+  client.subscribePc?.close();
+  console.log(`[${client.peerId}] Left the SFU (${clients.size} clients)`);
+}
+
+wss.on('connection', (ws) => {
+  let client = null;
+  let isAlive = true;
+
+  ws.on('pong', () => {
+    isAlive = true;
+  });
+
+  const pingInterval = setInterval(() => {
+    if (!isAlive) {
+      console.log(`[${client?.peerId || 'unjoined'}] SFU client timed out`);
+      clearInterval(pingInterval);
+      ws.terminate();
+      return;
+    }
+    isAlive = false;
+    ws.ping();
+  }, PING_INTERVAL);
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error('Invalid SFU message:', error);
+      return;
+    }
+
+    try {
+      if (message.type === 'join') {
+        if (client || !message.peerId) return;
+
+        // Nothing proves who owns a peerId, so a live session is never handed over -
+        // otherwise anyone who saw the id could take over (and cut off) that person's
+        // media. A session whose socket is gone is replaced; one that went quiet
+        // without closing is dropped by the ping check, after which the owner rejoins.
+        const existing = clients.get(message.peerId);
+        if (existing && existing.ws.readyState === existing.ws.OPEN) {
+          console.warn(`[${message.peerId}] Rejected join - already has a live SFU session`);
+          ws.send(JSON.stringify({ type: 'join_rejected', reason: 'peerId already in use' }));
+          ws.close();
+          return;
+        }
+        if (existing) {
+          removeClient(existing);
+        }
+
+        client = {
+          ws,
+          peerId: message.peerId,
+          room: message.room || 'lobby',
+          publishPc: null,
+          manifest: {},
+          mediaSections: null,
+          published: new Map(),
+          subscribePc: null,
+          slots: [],
+          subscriptions: new Set(),
+          layers: new Map(),
+          negotiating: false,
+          renegotiate: false
+        };
+        clients.set(client.peerId, client);
+        console.log(`[${client.peerId}] Joined the SFU in room ${client.room} (${clients.size} clients)`);
+        return;
+      }
+
+      if (!client) return;
+
+      if (message.type === 'publish') {
+        handlePublish(client, message);
+      } else if (message.type === 'answer') {
+        handleAnswer(client, message);
+      } else if (message.type === 'subscribe') {
+        handleSubscribe(client, message.publisherId, message.layer);
+      } else if (message.type === 'layer') {
+        handleLayer(client, message.publisherId, message.layer ?? null);
+      } else if (message.type === 'unsubscribe') {
+        handleUnsubscribe(client, message.publisherId);
+      } else if (message.type === 'candidate') {
+        handleCandidate(client, message);
+      }
+    } catch (error) {
+      console.error(`Error handling SFU message ${message.type}:`, error);
+    }
+  });
+
+  ws.on('close', () => {
+    clearInterval(pingInterval);
+    if (client && clients.get(client.peerId) === client) {
+      removeClient(client);
+    }
+  });
+
+  ws.on('error', (error) => {
+    console.error('SFU WebSocket error:', error);
+  });
+});
+
+const localIP = getLocalIP();
+console.log(`SFU server running on:`);
+console.log(`  - Local:   ws://localhost:${PORT}`);
+console.log(`  - Network: ws://${localIP}:${PORT}`);
+if (PORT_RANGE_BEGIN && PORT_RANGE_END) {
+  console.log(`Media ports: ${PORT_RANGE_BEGIN}-${PORT_RANGE_END}/udp`);
+}
+console.log(`\nPoint clients at it with ?sfu=ws://${localIP}:${PORT} or VITE_SFU_URL`);
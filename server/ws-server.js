@@ -1,5 +1,7 @@
 import { WebSocketServer } from 'ws';
 import os from 'os';
+import crypto from 'crypto';
+import { decodePlayerState, getCodecVersion, toCodecVersion1 } from '@cubechat/codec';
 
 const PORT = process.env.PORT || 8080;
 
@@ -21,14 +23,205 @@ function getLocalIP() {
   return 'localhost';
 }
 
-// Store all connected clients with metadata
-const clients = new Map();
+// Rooms: room name -> Map of clientId -> { ws, state }
+// Each client belongs to exactly one room and only sees members of that room.
+// `state` is the last player_state data relayed for that client (position etc.)
+const rooms = new Map();
+const DEFAULT_ROOM = 'lobby';
+
+// Interest management: player_state is only relayed to clients within this
+// radius (world units). Everyone further away gets a coarse low-rate feed.
+// Keep the radius above the client's 450-unit video disconnect range so WebRTC
+// connections still get set up in time.
+const INTEREST_RADIUS = parseFloat(process.env.INTEREST_RADIUS) || 600;
+const FAR_UPDATE_INTERVAL = parseInt(process.env.FAR_UPDATE_INTERVAL, 10) || 1000;
+
+// TURN servers handed to clients on join (ice_config message), for peers behind
+// symmetric NATs. TURN_URLS is a comma-separated list, e.g.
+//   turn:turn.example.com:3478?transport=udp,turns:turn.example.com:5349
+// Credentials are either time-limited ones derived from TURN_SECRET (coturn's
+// use-auth-secret / static-auth-secret REST scheme) or static TURN_USERNAME/TURN_CREDENTIAL.
+const TURN_URLS = (process.env.TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const TURN_SECRET = process.env.TURN_SECRET || '';
+const TURN_USERNAME = process.env.TURN_USERNAME || '';
+const TURN_CREDENTIAL = process.env.TURN_CREDENTIAL || '';
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 86400; // seconds
+
+// ICE servers for one client, or an empty list when no TURN server is configured
+function getTurnIceServers(clientId) {
+  if (TURN_URLS.length === 0) return [];
+
+  if (TURN_SECRET) {
+    // username = "<expiry unix time>:<client>", credential = base64(HMAC-SHA1(secret, username))
+    const username = `${Math.floor(Date.now() / 1000) + TURN_TTL}:${clientId}`;
+    const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+    return [{ urls: TURN_URLS, username, credential }];
+  }
+
+  if (TURN_USERNAME) {
+    return [{ urls: TURN_URLS, username: TURN_USERNAME, credential: TURN_CREDENTIAL }];
+  }
+
+  return [{ urls: TURN_URLS }];
+}
+
+// Normalize room names so "Standup" and "standup " land in the same room
+function sanitizeRoomName(name) {
+  if (typeof name !== 'string') return DEFAULT_ROOM;
+  const cleaned = name.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').substring(0, 32);
+  return cleaned || DEFAULT_ROOM;
+}
+
+function joinRoom(roomName, clientId, ws, state = null) {
+  if (!rooms.has(roomName)) {
+    rooms.set(roomName, new Map());
+  }
+  rooms.get(roomName).set(clientId, { ws, state });
+}
+
+// Returns false if the client had already been replaced by a newer connection
+// (e.g. a reconnect that arrived before the old socket timed out)
+function leaveRoom(roomName, clientId, ws) {
+  const room = rooms.get(roomName);
+  if (!room || room.get(clientId)?.ws !== ws) return false;
+
+  room.delete(clientId);
+  if (room.size === 0) {
+    rooms.delete(roomName);
+  }
+  return true;
+}
+
+// Send a raw message to every open client in a room except the sender
+function broadcastToRoom(roomName, data, excludeId = null) {
+  const room = rooms.get(roomName);
+  if (!room) return;
+
+  room.forEach((client, id) => {
+    if (id !== excludeId && client.ws.readyState === 1) {
+      client.ws.send(data);
+    }
+  });
+}
+
+// Horizontal distance between a client and another client's player or billboard
+// Returns null when either position is still unknown
+function getInterestDistance(viewerState, subjectState) {
+  const viewer = viewerState?.position;
+  if (!viewer || !subjectState?.position) return null;
+
+  const distanceTo = (position) => {
+    const dx = position.x - viewer.x;
+    const dz = position.z - viewer.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  };
+
+  // A billboard can be near us even when its owner wandered off
+  let distance = distanceTo(subjectState.position);
+  if (subjectState.screenSharing && subjectState.billboardData?.position) {
+    distance = Math.min(distance, distanceTo(subjectState.billboardData.position));
+  }
+  return distance;
+}
+
+// Relay a player_state only to room members within the interest radius
+function relayPlayerState(roomName, senderId, data) {
+  const room = rooms.get(roomName);
+  if (!room) return;
+
+  const sender = room.get(senderId);
+  // Clients still on codec version 1 get the state converted (see @cubechat/codec)
+  let version1Data = null;
+
+  room.forEach((client, id) => {
+    if (id === senderId || client.ws.readyState !== 1) return;
+
+    const distance = getInterestDistance(client.state, sender?.state);
+    // Unknown positions are relayed so new clients are never left out
+    if (distance === null || distance <= INTEREST_RADIUS) {
+      if (client.codecVersion === 1) {
+        version1Data ??= toCodecVersion1(data);
+        client.ws.send(version1Data);
+      } else {
+        client.ws.send(data);
+      }
+    }
+  });
+}
+
+// Coarse summary of a client's state for the far peers feed
+// Enough for light beams, names and billboards - no velocity, rounded position
+function getCoarseState(state) {
+  return {
+    position: {
+      x: Math.round(state.position.x),
+      y: Math.round(state.position.y),
+      z: Math.round(state.position.z)
+    },
+    velocity: { x: 0, y: 0, z: 0 },
+    rotation: state.rotation,
+    color: state.color,
+    name: state.name,
+    hasMedia: state.hasMedia,
+    micMuted: state.micMuted,
+    camOff: state.camOff,
+    screenSharing: state.screenSharing,
+    billboardData: state.billboardData
+  };
+}
+
+// Low-rate feed of everyone outside each client's interest radius
+function sendFarPeerUpdates() {
+  rooms.forEach((room) => {
+    room.forEach((viewer) => {
+      if (viewer.ws.readyState !== 1 || !viewer.state?.position) return;
+
+      const farPeers = [];
+      room.forEach((subject, subjectId) => {
+        if (subject === viewer || !subject.state?.position) return;
+
+        const distance = getInterestDistance(viewer.state, subject.state);
+        if (distance !== null && distance > INTEREST_RADIUS) {
+          farPeers.push({ peerId: subjectId, data: getCoarseState(subject.state) });
+        }
+      });
+
+      if (farPeers.length > 0) {
+        viewer.ws.send(JSON.stringify({
+          type: 'far_peers',
+          peers: farPeers
+        }));
+      }
+    });
+  });
+}
+
+setInterval(sendFarPeerUpdates, FAR_UPDATE_INTERVAL);
+
+// Full cached state of every other room member, sent once on join
+function sendWorldSnapshot(roomName, clientId, ws) {
+  const room = rooms.get(roomName);
+  if (!room || ws.readyState !== 1) return;
+
+  const peers = [];
+  room.forEach((client, id) => {
+    if (id !== clientId && client.state?.position) {
+      peers.push({ peerId: id, data: client.state });
+    }
+  });
+
+  ws.send(JSON.stringify({
+    type: 'world_snapshot',
+    peers
+  }));
+}
 
 // Ping interval to keep connections alive (30 seconds)
 const PING_INTERVAL = 30000;
 
 wss.on('connection', (ws) => {
   let clientId = null;
+  let roomName = null;
   let isAlive = true;
   
   console.log('New client connected');
@@ -55,49 +248,96 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     clearInterval(pingInterval);
     
-    if (clientId) {
-      clients.delete(clientId);
-      console.log(`Player left: ${clientId}`);
+    if (clientId && roomName && leaveRoom(roomName, clientId, ws)) {
+      console.log(`Player left: ${clientId} (room: ${roomName})`);
 
-      // Notify others about player leaving
-      const leaveMessage = JSON.stringify({
+      // Notify the rest of the room about player leaving
+      broadcastToRoom(roomName, JSON.stringify({
         type: 'player_leave',
         peerId: clientId
-      });
+      }));
+    }
+  });
+
+  ws.on('message', (data, isBinary) => {
+    // Binary frames are compact player_state updates (@cubechat/codec)
+    if (isBinary) {
+      if (!clientId || !roomName) return;
+      try {
+        const { peerId, data: update } = decodePlayerState(data);
+        if (peerId !== clientId) return;
 
-      clients.forEach((client) => {
-        if (client.readyState === 1) {
-          client.send(leaveMessage);
+        // Updates only carry name/color when they change, so merge into the cached state
+        const client = rooms.get(roomName)?.get(clientId);
+        if (client) {
+          client.state = { ...client.state, ...update };
+          client.codecVersion = getCodecVersion(data);
         }
-      });
+        relayPlayerState(roomName, clientId, data);
+      } catch (error) {
+        console.error('Error handling binary message:', error);
+      }
+      return;
     }
-  });
 
-  ws.on('message', (data) => {
     try {
       const message = JSON.parse(data.toString());
 
-      // Store client ID on join
+      // Clock sync: the relay's clock is the shared network time (see src/p2p/clock.js)
+      if (message.type === 'time_ping') {
+        const now = Date.now();
+        ws.send(JSON.stringify({ type: 'time_pong', t0: message.t0, t1: now, t2: now }));
+        return;
+      }
+
+      // Store client ID and room on join
       if (message.type === 'join') {
+        const newRoom = sanitizeRoomName(message.room);
+
+        // A rejoin into a different room leaves the previous one first
+        if (clientId && roomName && roomName !== newRoom && leaveRoom(roomName, clientId, ws)) {
+          broadcastToRoom(roomName, JSON.stringify({
+            type: 'player_leave',
+            peerId: clientId
+          }));
+        }
+
         clientId = message.peerId;
-        clients.set(clientId, ws);
-        console.log(`Player joined: ${clientId}`);
+        roomName = newRoom;
+        joinRoom(roomName, clientId, ws, message.data || null);
+        console.log(`Player joined: ${clientId} (room: ${roomName})`);
+
+        // Tell the newcomer about everyone already here, including idle peers
+        // that won't broadcast again until they move
+        sendWorldSnapshot(roomName, clientId, ws);
+
+        // Fresh TURN credentials on every join, so reconnects never hold expired ones
+        const iceServers = getTurnIceServers(clientId);
+        if (iceServers.length > 0) {
+          ws.send(JSON.stringify({ type: 'ice_config', iceServers }));
+        }
       }
 
-      // Handle WebRTC signaling - send to specific peer
-      if (message.targetPeer && (message.type === 'webrtc-offer' || 
-          message.type === 'webrtc-answer' || message.type === 'webrtc-ice')) {
-        const targetClient = clients.get(message.targetPeer);
+      // Ignore everything else until the client has joined a room
+      if (!clientId || !roomName) return;
+
+      // WebRTC signaling, direct chat messages and anything else addressed to
+      // one peer - send only to that peer in the same room
+      if (message.targetPeer) {
+        const targetClient = rooms.get(roomName)?.get(message.targetPeer)?.ws;
         if (targetClient && targetClient.readyState === 1) {
           targetClient.send(data.toString());
         }
+      } else if (message.type === 'player_state') {
+        // Remember the latest state for interest management
+        const client = rooms.get(roomName)?.get(clientId);
+        if (client && message.data) {
+          client.state = message.data;
+        }
+        relayPlayerState(roomName, clientId, data.toString());
       } else {
-        // Broadcast message to all other clients
-        clients.forEach((client, id) => {
-          if (id !== clientId && client.readyState === 1) {
-            client.send(data.toString());
-          }
-        });
+        // Broadcast message to all other clients in the room
+        broadcastToRoom(roomName, data.toString(), clientId);
       }
     } catch (error) {
       console.error('Error handling message:', error);
@@ -115,4 +355,9 @@ console.log(`WebSocket relay server running on:`);
 console.log(`  - Local:   ws://localhost:${PORT}`);
 console.log(`  - Network: ws://${localIP}:${PORT}`);
 console.log('\nPlayers can now connect and see each other!');
+console.log('Join a named room with ?room=<name> in the page URL (default: lobby)');
+console.log(`Interest radius: ${INTEREST_RADIUS} units, far peers every ${FAR_UPDATE_INTERVAL}ms`);
+if (TURN_URLS.length > 0) {
+  console.log(`TURN: ${TURN_URLS.join(', ')} (${TURN_SECRET ? 'time-limited credentials' : TURN_USERNAME ? 'static credentials' : 'no credentials'})`);
+}
 console.log(`\nFor LAN connections, use: ws://${localIP}:${PORT}`);
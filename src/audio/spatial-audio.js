@@ -0,0 +1,174 @@
+// Positional voice and screen-share audio
+// Every remote audio track goes through its own HRTF PannerNode placed at the
+// remote cube (or billboard), and the AudioListener sits on our cube facing the
+// way the camera looks, so you hear which side a voice comes from.
+//
+// Rolloff model, first match wins: ?rolloff=<name>, localStorage 'audioRolloff', 'linear'.
+
+// Distances are in world units (grid squares are 10 units)
+export const ROLLOFF_MODELS = {
+  // Fades to silence at 400 units, like the old volume-by-distance audio
+  linear: { distanceModel: 'linear', refDistance: 20, maxDistance: 400, rolloffFactor: 1 },
+  // Natural 1/distance falloff - far voices get quiet but never silent
+  inverse: { distanceModel: 'inverse', refDistance: 40, maxDistance: 10000, rolloffFactor: 1 },
+  // Steeper than inverse - only people close by are clearly audible
+  exponential: { distanceModel: 'exponential', refDistance: 40, maxDistance: 10000, rolloffFactor: 1.5 }
+};
+
+const DEFAULT_ROLLOFF = 'linear';
+
+export function getAudioRolloff() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem('audioRolloff') : null;
+  const name = params.get('rolloff') || stored;
+  return ROLLOFF_MODELS[name] ? name : DEFAULT_ROLLOFF;
+}
+
+// AudioParams where supported, the older setter methods (Firefox) otherwise
+function setPosition(node, { x, y, z }) {
+  if (node.positionX) {
+    node.positionX.value = x;
+    node.positionY.value = y;
+    node.positionZ.value = z;
+  } else {
+    node.setPosition(x, y, z);
+  }
+}
+
+export class SpatialAudio {
+  constructor() {
+    this.context = new AudioContext();
+    this.rolloff = getAudioRolloff();
+    this.sources = new Map(); // source id -> { track, element, node, panner, gain, scale }
+    this.mutedIds = new Set(); // Sources muted just for us (see setMuted)
+
+    // Browsers start the context suspended until the user interacts with the page
+    if (this.context.state === 'suspended') {
+      const resume = () => {
+        this.context.resume().then(() => {
+          document.removeEventListener('pointerdown', resume);
+          document.removeEventListener('keydown', resume);
+          console.log('Spatial audio started');
+        }).catch(err => console.warn('Could not start audio:', err));
+      };
+      document.addEventListener('pointerdown', resume);
+      document.addEventListener('keydown', resume);
+    }
+  }
+
+  // Play the first audio track of `stream` from a point in the world
+  // `id` is a peerId for voices or e.g. 'billboard-<peerId>' for screen shares
+  // `scale` stretches the rolloff distances, so bigger sources carry further
+  // Returns false when the stream has no audio
+  setSource(id, stream, scale = 1) {
+    const track = stream?.getAudioTracks()[0];
+    const existing = this.sources.get(id);
+
+    if (existing && existing.track === track && existing.scale === scale) return true;
+    if (existing) {
+      this.removeSource(id);
+    }
+    if (!track) return false;
+
+    // Chrome only feeds remote WebRTC audio into Web Audio while the stream is
+    // also attached to a media element - a muted one keeps it flowing
+    const trackStream = new MediaStream([track]);
+    const element = document.createElement('audio');
+    element.srcObject = trackStream;
+    element.muted = true;
+    element.play().catch(err => console.warn('Audio autoplay blocked for', id, ':', err));
+
+    const node = this.context.createMediaStreamSource(trackStream);
+    const panner = this.context.createPanner();
+    panner.panningModel = 'HRTF';
+    this.applyRolloff(panner, scale);
+    const gain = this.context.createGain();
+    gain.gain.value = this.mutedIds.has(id) ? 0 : 1;
+    node.connect(panner).connect(gain).connect(this.context.destination);
+
+    this.sources.set(id, { track, element, node, panner, gain, scale });
+    console.log('Spatial audio source added:', id);
+    return true;
+  }
+
+  hasSource(id) {
+    return this.sources.has(id);
+  }
+
+  setSourcePosition(id, position) {
+    const source = this.sources.get(id);
+    if (source && position) {
+      setPosition(source.panner, position);
+    }
+  }
+
+  removeSource(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+
+    source.node.disconnect();
+    source.panner.disconnect();
+    source.gain.disconnect();
+    source.element.srcObject = null;
+    this.sources.delete(id);
+    console.log('Spatial audio source removed:', id);
+  }
+
+  // Silence a source locally (nobody else is affected); sticks across
+  // setSource calls until unmuted
+  setMuted(id, muted) {
+    if (muted) {
+      this.mutedIds.add(id);
+    } else {
+      this.mutedIds.delete(id);
+    }
+    const source = this.sources.get(id);
+    if (source) {
+      source.gain.gain.value = muted ? 0 : 1;
+    }
+  }
+
+  isMuted(id) {
+    return this.mutedIds.has(id);
+  }
+
+  // Ears on our cube, facing the camera's view direction
+  // The camera orbits behind the cube at (sin(yaw), cos(yaw)), so it looks along -that
+  updateListener(position, yaw) {
+    if (!position) return;
+    const listener = this.context.listener;
+    const forward = { x: -Math.sin(yaw), y: 0, z: -Math.cos(yaw) };
+
+    setPosition(listener, position);
+    if (listener.forwardX) {
+      listener.forwardX.value = forward.x;
+      listener.forwardY.value = forward.y;
+      listener.forwardZ.value = forward.z;
+      listener.upX.value = 0;
+      listener.upY.value = 1;
+      listener.upZ.value = 0;
+    } else {
+      listener.setOrientation(forward.x, forward.y, forward.z, 0, 1, 0);
+    }
+  }
+
+  // Switch rolloff model (a ROLLOFF_MODELS key) for every source
+  setRolloff(name) {
+    if (!ROLLOFF_MODELS[name]) return;
+    this.rolloff = name;
+    this.sources.forEach(source => this.applyRolloff(source.panner, source.scale));
+  }
+
+  applyRolloff(panner, scale) {
+    const { distanceModel, refDistance, maxDistance, rolloffFactor } = ROLLOFF_MODELS[this.rolloff];
+    panner.distanceModel = distanceModel;
+    panner.refDistance = refDistance * scale;
+    panner.maxDistance = maxDistance * scale;
+    panner.rolloffFactor = rolloffFactor;
+  }
+
+  close() {
+    [...this.sources.keys()].forEach(id => this.removeSource(id));
+    this.context.close();
+  }
+}
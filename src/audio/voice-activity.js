@@ -0,0 +1,114 @@
+// Who is talking right now
+// Every voice track (ours and each remote peer's) gets an AnalyserNode; update()
+// measures the level once per frame and tracks a speaking flag with a short hold,
+// so the flag doesn't flicker between words. The analysers only listen - nothing
+// is connected to the speakers (playback is spatial-audio.js's job).
+
+// RMS below this is background noise (level 0), at LOUD_RMS and above level is 1
+const NOISE_FLOOR_RMS = 0.01;
+const LOUD_RMS = 0.15;
+// Level above which someone counts as speaking
+const SPEAKING_LEVEL = 0.15;
+// Keep the speaking flag this long after the level drops (ms)
+const SPEAKING_HOLD = 300;
+// How fast the displayed level falls back after a peak (per frame)
+const LEVEL_DECAY = 0.85;
+
+export class VoiceActivity {
+  constructor(context) {
+    this.context = context;
+    this.sources = new Map(); // id -> { track, node, analyser, samples, level, speaking, lastLoud }
+    this.speakingHandlers = [];
+  }
+
+  // handler(id, speaking) - called when someone starts or stops speaking
+  onSpeakingChange(handler) {
+    this.speakingHandlers.push(handler);
+  }
+
+  // Watch the first audio track of `stream` (a peerId or our own id)
+  // Remote tracks need to be playing somewhere for Chrome to deliver samples,
+  // which SpatialAudio takes care of
+  setSource(id, stream) {
+    const track = stream?.getAudioTracks()[0];
+    const existing = this.sources.get(id);
+
+    if (existing && existing.track === track) return;
+    if (existing) {
+      this.removeSource(id);
+    }
+    if (!track) return;
+
+    const node = this.context.createMediaStreamSource(new MediaStream([track]));
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = 512;
+    node.connect(analyser);
+
+    this.sources.set(id, {
+      track,
+      node,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+      level: 0,
+      speaking: false,
+      lastLoud: -Infinity
+    });
+  }
+
+  removeSource(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+
+    source.node.disconnect();
+    this.sources.delete(id);
+    if (source.speaking) {
+      this.speakingHandlers.forEach(handler => handler(id, false));
+    }
+  }
+
+  // Measure every source; call once per frame
+  update(now = performance.now()) {
+    this.sources.forEach((source, id) => {
+      source.analyser.getFloatTimeDomainData(source.samples);
+
+      let sum = 0;
+      for (let i = 0; i < source.samples.length; i++) {
+        sum += source.samples[i] * source.samples[i];
+      }
+      const rms = Math.sqrt(sum / source.samples.length);
+      const level = Math.max(0, Math.min(1, (rms - NOISE_FLOOR_RMS) / (LOUD_RMS - NOISE_FLOOR_RMS)));
+
+      // Muted tracks are silent, but don't wait for the decay to say so
+      source.level = source.track.enabled ? Math.max(level, source.level * LEVEL_DECAY) : 0;
+      if (level >= SPEAKING_LEVEL && source.track.enabled) {
+        source.lastLoud = now;
+      }
+
+      const speaking = now - source.lastLoud < SPEAKING_HOLD;
+      if (speaking !== source.speaking) {
+        source.speaking = speaking;
+        this.speakingHandlers.forEach(handler => handler(id, speaking));
+      }
+    });
+  }
+
+  // Current voice level 0..1 (smoothed), 0 for unknown ids
+  getLevel(id) {
+    return this.sources.get(id)?.level || 0;
+  }
+
+  isSpeaking(id) {
+    return !!this.sources.get(id)?.speaking;
+  }
+
+  // Ids of everyone speaking right now
+  getSpeakers() {
+    return Array.from(this.sources.entries())
+      .filter(([, source]) => source.speaking)
+      .map(([id]) => id);
+  }
+
+  close() {
+    [...this.sources.keys()].forEach(id => this.removeSource(id));
+  }
+}
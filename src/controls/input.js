@@ -1,3 +1,16 @@
+// Media keys: toggle mic, toggle camera, and hold-to-talk when push-to-talk is on
+const MUTE_KEY = 'm';
+const CAMERA_KEY = 'v';
+const PUSH_TO_TALK_KEY = 't';
+// Number keys 1-4 send quick reactions
+const REACTION_KEYS = ['1', '2', '3', '4'];
+
+// Don't treat typing in a text field as game input
+function isTypingTarget(target) {
+  return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+    target.tagName === 'SELECT' || target.isContentEditable);
+}
+
 export class PlayerController {
   constructor() {
     this.keys = {};
@@ -24,6 +37,14 @@ export class PlayerController {
     this.jumpKeyPressed = false; // Track jump key state
     this.jumpTriggered = false; // Track mobile jump trigger
     
+    // Media controls
+    this.pushToTalkEnabled = false;
+    this.pushToTalkActive = false; // Push-to-talk key is held
+    this.muteHandlers = [];
+    this.cameraHandlers = [];
+    this.pushToTalkHandlers = [];
+    this.reactionHandlers = [];
+
     // Mobile controls
     this.isMobile = false;
     this.moveJoystick = { x: 0, y: 0 };
@@ -352,12 +373,30 @@ export class PlayerController {
 
   setupEventListeners() {
     // Keyboard events
+    // Typing in chat or settings fields isn't movement
     window.addEventListener('keydown', (e) => {
+      if (isTypingTarget(e.target)) return;
       this.keys[e.key.toLowerCase()] = true;
+      if (!e.repeat) {
+        this.handleMediaKey(e.key.toLowerCase(), true);
+      }
     });
 
     window.addEventListener('keyup', (e) => {
       this.keys[e.key.toLowerCase()] = false;
+      this.handleMediaKey(e.key.toLowerCase(), false);
+    });
+
+    // Keys held when a text field takes focus would never see their keyup
+    document.addEventListener('focusin', (e) => {
+      if (isTypingTarget(e.target)) {
+        this.keys = {};
+      }
+    });
+
+    // Releasing the window (alt-tab) must not leave push-to-talk stuck open
+    window.addEventListener('blur', () => {
+      this.handleMediaKey(PUSH_TO_TALK_KEY, false);
     });
 
     // Mouse movement for rotation (when pointer is locked)
@@ -437,6 +476,11 @@ export class PlayerController {
     return this.rotation;
   }
 
+  // Turn to face a yaw directly (e.g. clicking the minimap)
+  setRotation(rotation) {
+    this.rotation = rotation;
+  }
+
   getPitch() {
     return this.pitch;
   }
@@ -463,4 +507,46 @@ export class PlayerController {
   setInvertMouse(invert) {
     this.invertMouse = invert;
   }
+
+  handleMediaKey(key, pressed) {
+    if (key === MUTE_KEY && pressed) {
+      this.muteHandlers.forEach(handler => handler());
+    } else if (key === CAMERA_KEY && pressed) {
+      this.cameraHandlers.forEach(handler => handler());
+    } else if (key === PUSH_TO_TALK_KEY && this.pushToTalkEnabled && this.pushToTalkActive !== pressed) {
+      this.pushToTalkActive = pressed;
+      this.pushToTalkHandlers.forEach(handler => handler(pressed));
+    } else if (REACTION_KEYS.includes(key) && pressed) {
+      this.reactionHandlers.forEach(handler => handler(REACTION_KEYS.indexOf(key)));
+    }
+  }
+
+  // handler(index) - called when reaction key `index` (0 = key 1) is pressed
+  onReactionKey(handler) {
+    this.reactionHandlers.push(handler);
+  }
+
+  // Called when the mute key is pressed
+  onMuteToggle(handler) {
+    this.muteHandlers.push(handler);
+  }
+
+  // Called when the camera key is pressed
+  onCameraToggle(handler) {
+    this.cameraHandlers.push(handler);
+  }
+
+  // handler(active) - called when the push-to-talk key is pressed or released
+  onPushToTalk(handler) {
+    this.pushToTalkHandlers.push(handler);
+  }
+
+  setPushToTalk(enabled) {
+    this.pushToTalkEnabled = enabled;
+    this.pushToTalkActive = false;
+  }
+
+  isPushToTalkActive() {
+    return this.pushToTalkEnabled && this.pushToTalkActive;
+  }
 }
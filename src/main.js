@@ -1,20 +1,53 @@
 import './style.css';
 import * as THREE from 'three';
-import { P2PNetwork } from './p2p/network.js';
+import { P2PNetwork, getRoomName, getTransportName, VIDEO_CONNECT_DISTANCE } from './p2p/network.js';
+import { createTransport } from './p2p/transports/index.js';
+import { SnapshotBuffer } from './p2p/snapshot-buffer.js';
+import { isLanOnly, parseIceServers } from './p2p/ice-config.js';
+import { getVideoTier } from './p2p/video-quality.js';
+import { listMediaDevices } from './p2p/media-devices.js';
+import { Chat, CHAT_NEARBY_DISTANCE } from './p2p/chat.js';
+import { Reactions, REACTIONS } from './p2p/reactions.js';
+import { SpatialAudio, ROLLOFF_MODELS } from './audio/spatial-audio.js';
+import { VoiceActivity } from './audio/voice-activity.js';
 import { TronScene } from './renderer/scene.js';
 import { PlayerController } from './controls/input.js';
 import { PhysicsWorld } from './physics/world.js';
+import { ChatPanel } from './ui/chat-panel.js';
+import { ParticipantPanel } from './ui/participant-panel.js';
+import { Minimap } from './ui/minimap.js';
+
+// How often remote video quality tiers are re-evaluated (ms)
+const VIDEO_QUALITY_INTERVAL = 500;
+// How often the participant panel refreshes (ms)
+const PARTICIPANT_PANEL_INTERVAL = 500;
+
+// Chat messages up to this long also pop up as a bubble over the sender's cube
+const CHAT_BUBBLE_MAX_LENGTH = 120;
 
 class CubeChat {
   constructor() {
     this.network = null;
+    this.spatialAudio = null;
+    this.voiceActivity = null;
+    this.chat = null;
+    this.chatPanel = null;
+    this.reactions = null;
+    this.participantPanel = null;
+    this.minimap = null;
     this.scene = null;
     this.controller = null;
     this.physics = null;
     this.remotePlayers = new Set();
+    this.remoteSnapshots = new Map(); // peerId -> SnapshotBuffer of received states
     this.remoteBillboards = new Map(); // peerId -> {mesh, body, video}
+    this.hiddenVideo = new Set(); // Peers whose camera video we chose not to see
     this.lastTime = performance.now();
+    this.lastVideoQualityUpdate = 0;
+    this.lastParticipantPanelUpdate = 0;
     this.settingsShownOnce = false;
+    this.micMuted = false; // Muted with the mic button/key (push-to-talk mutes on top of this)
+    this.pushToTalk = false;
     this.screenStream = null;
     this.screenBillboard = null;
     this.screenBillboardBody = null;
@@ -27,13 +60,23 @@ class CubeChat {
       <div id="loading">
         <h1>CubeChat</h1>
         <p>Initializing P2P Network...</p>
+        <p style="font-size: 0.9em; color: #00ffff;">Room: ${getRoomName()}</p>
         <p style="font-size: 0.9em; color: #00ffff;">Click to start</p>
         <p style="font-size: 0.8em; color: #ffff00; max-width: 90%; margin: 0.5em auto;">📹 Share your voice and video to chat with other people!</p>
         <p style="font-size: 0.8em; color: #00cccc; max-width: 90%; margin: 0.5em auto;">WASD: Move | Mouse/Arrows: Look | Movement has momentum</p>
       </div>
       <div id="scene-container"></div>
       <div id="event-log"></div>
+      <div id="chat-panel"></div>
+      <div id="room-indicator"></div>
       <div id="settings-button">⚙️</div>
+      <div id="media-controls">
+        <button id="mic-toggle" class="media-button" title="Mute microphone (M)">🎤</button>
+        <button id="camera-toggle" class="media-button" title="Turn camera off (V)">📷</button>
+        <button id="participants-toggle" class="media-button" title="People in the room">👥</button>
+      </div>
+      <div id="participant-panel" style="display: none;"></div>
+      <div id="minimap"></div>
       <div id="settings-menu" style="display: none;">
         <div id="settings-close-x">✕</div>
         <h3>Settings</h3>
@@ -57,6 +100,40 @@ class CubeChat {
           <input type="checkbox" id="invert-mouse" style="margin-right: 8px;">
           Invert Mouse Y-Axis
         </label>
+        <label style="display: flex; align-items: center; cursor: pointer;">
+          <input type="checkbox" id="push-to-talk" style="margin-right: 8px;">
+          Push-to-Talk (hold T)
+        </label>
+        <label style="display: flex; align-items: center; cursor: pointer;">
+          <input type="checkbox" id="lan-only" style="margin-right: 8px;">
+          LAN Only (no STUN/TURN)
+        </label>
+        <label>
+          ICE Servers:
+          <input type="text" id="ice-servers" placeholder="stun:host:3478,turn:... or JSON">
+        </label>
+        <label>
+          Max Video Connections:
+          <input type="number" id="max-connections" min="1" max="50" step="1">
+        </label>
+        <label>
+          Camera:
+          <select id="camera-select"></select>
+        </label>
+        <label>
+          Microphone:
+          <select id="microphone-select"></select>
+        </label>
+        <div style="margin-top: 10px;">
+          <button id="enable-media" style="width: 100%; margin-bottom: 5px; display: none;">Join with Camera/Mic</button>
+          <div id="media-status" style="font-size: 0.8em; color: #00ffff; text-align: center;"></div>
+        </div>
+        <label>
+          Voice Falloff:
+          <select id="audio-rolloff">
+            ${Object.keys(ROLLOFF_MODELS).map(name => `<option value="${name}">${name}</option>`).join('')}
+          </select>
+        </label>
         <div style="margin-top: 10px;">
           <button id="screen-share-toggle" style="width: 100%; margin-bottom: 5px;">Share Screen</button>
           <div id="screen-share-status" style="font-size: 0.8em; color: #00ffff; text-align: center;"></div>
@@ -70,10 +147,22 @@ class CubeChat {
     this.initEventLog();
 
     try {
-      // Initialize P2P network
-      this.network = new P2PNetwork();
+      // Initialize P2P network - WebSocket relay by default, libp2p gossipsub if configured
+      // The default relay connection is created inside the network worker
+      const transportName = getTransportName();
+      const transport = transportName === 'websocket' ? null : await createTransport(transportName);
+      this.network = new P2PNetwork({ transport });
       const localPlayer = await this.network.init();
 
+      // Show which room we joined
+      document.getElementById('room-indicator').textContent = `Room: ${this.network.getRoom()}`;
+      this.logEvent(`Joined room: ${this.network.getRoom()}`, 'join');
+
+      // Remote voices are played positionally from their cubes
+      this.spatialAudio = new SpatialAudio();
+      // Speaking indicators for us and every remote voice
+      this.voiceActivity = new VoiceActivity(this.spatialAudio.context);
+
       // Initialize physics world
       this.physics = new PhysicsWorld();
 
@@ -101,6 +190,7 @@ class CubeChat {
       // Apply local video stream to own cube
       if (this.network.getLocalStream()) {
         this.scene.setPlayerVideoStream(localPlayer.id, this.network.getLocalStream());
+        this.voiceActivity.setSource(localPlayer.id, this.network.getLocalStream());
       }
 
       // Initialize player controller
@@ -111,6 +201,28 @@ class CubeChat {
         this.handleNetworkMessage(message);
       });
 
+      this.initMediaToggles();
+
+      // Text chat - nearby, room-wide and direct messages
+      this.chat = new Chat(this.network);
+      this.chatPanel = new ChatPanel(document.getElementById('chat-panel'), this.chat, this.network);
+      this.chat.onMessage(entry => this.showChatBubble(entry));
+
+      // Quick reactions on number keys 1-4 (and a button tray on mobile)
+      this.reactions = new Reactions(this.network);
+      this.reactions.onReaction((peerId, reaction) => this.scene.showReaction(peerId, reaction.emoji));
+      this.controller.onReactionKey((index) => {
+        if (REACTIONS[index]) {
+          this.reactions.send(REACTIONS[index].name);
+        }
+      });
+
+      // Who's here, plus per-person camera focus and local mute/hide
+      this.initParticipantPanel();
+
+      // Radar of who and what is around, to find people on the infinite grid
+      this.initMinimap();
+
       // Detect mobile device
       const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
       
@@ -123,6 +235,7 @@ class CubeChat {
         loadingDiv.addEventListener('click', () => {
           loadingDiv.style.display = 'none';
           this.controller.setMobileMode(true);
+          this.createReactionTray();
           // Show settings menu only the first time after loading screen closes
           if (!this.settingsShownOnce) {
             document.getElementById('settings-menu').style.display = 'block';
@@ -185,7 +298,8 @@ class CubeChat {
       // Add new remote player if not already tracked
       if (!this.remotePlayers.has(peerId)) {
         this.scene.createPlayer(peerId, data.color, data.position);
-        this.physics.createPlayerBody(peerId, data.position);
+        this.physics.createRemotePlayerBody(peerId, data.position);
+        this.remoteSnapshots.set(peerId, new SnapshotBuffer());
         this.remotePlayers.add(peerId);
         
         // Apply name if available
@@ -205,14 +319,14 @@ class CubeChat {
         }
       }
 
-      // Update remote player position in physics (for collisions)
-      const physicsBody = this.physics.getPlayerBody(peerId);
-      if (physicsBody) {
-        physicsBody.position.set(data.position.x, data.position.y, data.position.z);
-        if (data.velocity) {
-          physicsBody.velocity.set(data.velocity.x, data.velocity.y, data.velocity.z);
-        }
-      }
+      // Mute icon, and the colored cube instead of black video while the camera is off
+      this.scene.setPlayerMicMuted(peerId, !!data.micMuted);
+      this.scene.setPlayerCameraOff(peerId, !!data.camOff || this.hiddenVideo.has(peerId));
+
+      // Queue the state for interpolation - syncPhysicsToScene moves the
+      // cube and its kinematic physics body every frame
+      const receivedAt = this.network.now();
+      this.remoteSnapshots.get(peerId)?.push(data, message.timestamp ?? receivedAt, receivedAt);
 
       // Handle screen sharing state changes
       if (data.screenSharing && data.billboardData && !this.remoteBillboards.has(peerId)) {
@@ -242,48 +356,51 @@ class CubeChat {
           }
         }
       }
-
-      // Update remote player position and rotation
-      this.scene.updatePlayer(peerId, data.position, data.rotation);
-      
-      // Update proximity audio
-      this.updateProximityAudio(peerId, data.position);
     } else if (message.type === 'player_leave') {
       const { peerId } = message;
       
       if (this.remotePlayers.has(peerId)) {
         this.scene.removePlayer(peerId);
         this.physics.removePlayerBody(peerId);
+        this.remoteSnapshots.delete(peerId);
         this.remotePlayers.delete(peerId);
-        
-        // Clean up audio element
-        const audio = document.getElementById(`audio-${peerId}`);
-        if (audio) {
-          audio.remove();
+        this.spatialAudio.removeSource(peerId);
+        this.voiceActivity.removeSource(peerId);
+        if (this.scene.getCameraFocus()?.id === peerId) {
+          this.setCameraFocus(null);
         }
         
         console.log('Player left:', peerId);
       }
+    } else if (message.type === 'connection_event') {
+      this.logConnectionEvent(message);
+    } else if (message.type === 'connection_churn') {
+      this.logConnectionChurn(message);
+    } else if (message.type === 'local_stream_changed') {
+      // Camera switched, or media enabled after joining without it
+      if (message.stream.getVideoTracks().length > 0) {
+        this.scene.setPlayerVideoStream(this.network.localPlayer.id, message.stream);
+      }
+      this.voiceActivity.setSource(this.network.localPlayer.id, message.stream);
+      this.updateMediaControls();
+    } else if (message.type === 'sfu_mode') {
+      this.logEvent(message.active
+        ? `${message.mediaPeers} people nearby - video now goes through the SFU`
+        : 'Back to direct video connections', 'info');
     } else if (message.type === 'stream_added') {
       // Apply video stream to player cube
       this.scene.setPlayerVideoStream(message.peerId, message.stream);
-      
-      // Initialize audio for this peer
-      const peerData = this.network.getPeers().find(p => p.id === message.peerId);
-      if (peerData) {
-        this.updateProximityAudio(message.peerId, peerData.position);
-      }
+
+      // Play the peer's voice from its cube (positioned every frame in updateSpatialAudio)
+      this.spatialAudio.setSource(message.peerId, message.stream);
+      this.voiceActivity.setSource(message.peerId, message.stream);
       
       this.logEvent(`Video connected: ${message.peerId.substring(0, 8)}...`, 'video-success');
     } else if (message.type === 'stream_removed') {
       // Remove video texture from cube (revert to colored cube)
       this.scene.removePlayerVideoStream(message.peerId);
-      
-      // Clean up audio element
-      const audio = document.getElementById(`audio-${message.peerId}`);
-      if (audio) {
-        audio.remove();
-      }
+      this.spatialAudio.removeSource(message.peerId);
+      this.voiceActivity.removeSource(message.peerId);
       
       // Clear billboard video if it exists
       const billboard = this.remoteBillboards.get(message.peerId);
@@ -292,6 +409,7 @@ class CubeChat {
         billboard.video.pause();
         billboard.video.srcObject = null;
         billboard.video = null;
+        this.spatialAudio.removeSource(`billboard-${message.peerId}`);
         
         // Revert billboard to color
         const colorObj = new THREE.Color(billboard.ownerColor);
@@ -307,46 +425,30 @@ class CubeChat {
     }
   }
 
-  updateProximityAudio(peerId, remotePosition) {
-    const stream = this.network.getRemoteStream(peerId);
-    if (!stream) return;
+  // Move the listener with our cube and camera, and each sound source with its
+  // cube or billboard
+  updateSpatialAudio(rotation) {
+    this.spatialAudio.updateListener(this.scene.getLocalPlayerPosition(), rotation);
 
-    const localPos = this.scene.getLocalPlayerPosition();
-    if (!localPos) return;
+    this.remotePlayers.forEach((peerId) => {
+      const mesh = this.scene.players.get(peerId);
+      if (mesh) {
+        this.spatialAudio.setSourcePosition(peerId, mesh.position);
+      }
+    });
 
-    // Calculate distance between players (grid squares are 10 units)
-    const dx = remotePosition.x - localPos.x;
-    const dz = remotePosition.z - localPos.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-
-    // Get audio tracks
-    const audioTracks = stream.getAudioTracks();
-    if (audioTracks.length === 0) return;
-
-    // Find or create audio element for this peer
-    let audio = document.getElementById(`audio-${peerId}`);
-    if (!audio) {
-      audio = document.createElement('audio');
-      audio.id = `audio-${peerId}`;
-      audio.srcObject = new MediaStream(audioTracks);
-      audio.autoplay = true;
-      document.body.appendChild(audio);
-      
-      // Explicitly play audio (required by browser autoplay policies)
-      audio.play().catch(err => {
-        console.warn('Audio autoplay blocked for', peerId, '- user interaction required:', err);
-      });
-    }
+    this.remoteBillboards.forEach((billboard, peerId) => {
+      this.spatialAudio.setSourcePosition(`billboard-${peerId}`, billboard.mesh.position);
+    });
+  }
 
-    // Set volume based on proximity
-    const proximityRange = 400;
-    if (distance <= proximityRange) {
-      const volume = 1 - (distance / proximityRange);
-      audio.volume = Math.max(0, Math.min(1, volume));
-      audio.muted = false;
-    } else {
-      audio.muted = true;
-    }
+  // Pulse cubes of whoever is talking
+  updateVoiceActivity(currentTime) {
+    this.voiceActivity.update(currentTime);
+    this.scene.setPlayerVoiceLevel(this.network.localPlayer.id, this.voiceActivity.getLevel(this.network.localPlayer.id));
+    this.remotePlayers.forEach((peerId) => {
+      this.scene.setPlayerVoiceLevel(peerId, this.voiceActivity.getLevel(peerId));
+    });
   }
 
   startGameLoop() {
@@ -370,7 +472,7 @@ class CubeChat {
       this.physics.step(deltaTime);
 
       // Sync visual representation with physics
-      this.syncPhysicsToScene();
+      this.syncPhysicsToScene(deltaTime);
 
       // Stabilize player rotation (keep upright) and sync Y rotation with controller
       this.physics.stabilizeRotation(this.network.localPlayer.id);
@@ -423,8 +525,23 @@ class CubeChat {
       // Update remote billboard proximity (for video streaming)
       this.updateRemoteBillboardProximity();
 
+      this.updateSpatialAudio(rotation);
+      this.updateVoiceActivity(currentTime);
+
+      // Ask each peer for video quality to match how we see its cube
+      if (currentTime - this.lastVideoQualityUpdate >= VIDEO_QUALITY_INTERVAL) {
+        this.lastVideoQualityUpdate = currentTime;
+        this.updateVideoQuality();
+      }
+
+      if (currentTime - this.lastParticipantPanelUpdate >= PARTICIPANT_PANEL_INTERVAL) {
+        this.lastParticipantPanelUpdate = currentTime;
+        this.participantPanel.update();
+      }
+
       // Render scene with current rotation, pitch, and zoom
       this.scene.render(rotation, pitch, zoom);
+      this.updateMinimap();
 
       // Continue loop
       requestAnimationFrame(gameLoop);
@@ -440,6 +557,11 @@ class CubeChat {
 
     // Apply movement force if there's input
     if (forwardBack !== 0 || leftRight !== 0) {
+      // Moving brings the camera back to our own cube
+      if (this.scene.getCameraFocus()) {
+        this.setCameraFocus(null);
+      }
+
       const localPlayerMesh = this.scene.players.get(this.network.localPlayer.id);
       if (localPlayerMesh) {
         // Get world-space direction vectors from the cube's orientation
@@ -540,7 +662,7 @@ class CubeChat {
     }
   }
 
-  syncPhysicsToScene() {
+  syncPhysicsToScene(deltaTime = 0) {
     // Update local player
     const localId = this.network.localPlayer.id;
     const localPhysicsPos = this.physics.getPosition(localId);
@@ -549,11 +671,14 @@ class CubeChat {
       this.scene.updatePlayer(localId, localPhysicsPos, this.controller.getRotation());
     }
 
-    // Update remote players (sync their physics bodies with network data)
+    // Update remote players from their interpolated snapshots, and move their
+    // kinematic physics bodies along so collisions match what we see
+    const now = this.network.now();
     for (const peerId of this.remotePlayers) {
-      const remotePhysicsPos = this.physics.getPosition(peerId);
-      if (remotePhysicsPos) {
-        this.scene.updatePlayer(peerId, remotePhysicsPos);
+      const state = this.remoteSnapshots.get(peerId)?.sample(now, deltaTime);
+      if (state) {
+        this.physics.setKinematicState(peerId, state.position, state.velocity);
+        this.scene.updatePlayer(peerId, state.position, state.rotation);
       }
     }
 
@@ -593,6 +718,39 @@ class CubeChat {
     `;
   }
 
+  // Report WebRTC recovery steps from the network layer
+  logConnectionEvent({ peerId, status, attempt, maxAttempts }) {
+    const peerData = this.network.peers.get(peerId);
+    const name = peerData?.name || `${peerId.substring(0, 8)}...`;
+
+    if (status === 'disconnected') {
+      this.logEvent(`Connection to ${name} interrupted`, 'video-fail');
+    } else if (status === 'failed') {
+      this.logEvent(`Connection to ${name} failed`, 'video-fail');
+    } else if (status === 'restarting') {
+      this.logEvent(`Restarting ICE with ${name} (attempt ${attempt}/${maxAttempts})`, 'info');
+    } else if (status === 'recovered') {
+      this.logEvent(`Connection to ${name} recovered`, 'video-success');
+    } else if (status === 'rebuilding') {
+      this.logEvent(`Rebuilding connection to ${name}`, 'error');
+    }
+  }
+
+  // Proximity connects/disconnects, with the recent count so flapping stands out
+  logConnectionChurn({ peerId, action, reason, recentChanges, connections }) {
+    const peerData = this.network.peers.get(peerId);
+    const name = peerData?.name || `${peerId.substring(0, 8)}...`;
+    const summary = `${connections} open, ${recentChanges} change${recentChanges === 1 ? '' : 's'} in the last minute`;
+
+    if (action === 'connected') {
+      this.logEvent(`Connecting video to ${name} (${summary})`, 'info');
+    } else if (action === 'disconnected') {
+      this.logEvent(`Closed video to ${name}: ${reason} (${summary})`, 'info');
+    } else if (action === 'declined') {
+      this.logEvent(`${name} declined video: ${reason}`, 'video-fail');
+    }
+  }
+
   logEvent(message, type = 'info') {
     const logContainer = document.getElementById('event-log');
     if (!logContainer) return;
@@ -672,6 +830,11 @@ class CubeChat {
     const massInput = document.getElementById('player-mass');
     const screenHeightInput = document.getElementById('screen-height');
     const invertMouseInput = document.getElementById('invert-mouse');
+    const pushToTalkInput = document.getElementById('push-to-talk');
+    const lanOnlyInput = document.getElementById('lan-only');
+    const iceServersInput = document.getElementById('ice-servers');
+    const maxConnectionsInput = document.getElementById('max-connections');
+    const rolloffInput = document.getElementById('audio-rolloff');
 
     // Load saved settings
     const savedName = localStorage.getItem('playerName') || '';
@@ -679,20 +842,28 @@ class CubeChat {
     const savedMass = parseFloat(localStorage.getItem('playerMass')) || 5;
     const savedScreenHeight = parseFloat(localStorage.getItem('screenHeight')) || 100;
     const savedInvertMouse = localStorage.getItem('invertMouse') === 'true';
+    const savedPushToTalk = localStorage.getItem('pushToTalk') === 'true';
+    const savedIceServers = localStorage.getItem('iceServers') || '';
     
     nameInput.value = savedName;
     colorInput.value = savedColor;
     massInput.value = savedMass;
     screenHeightInput.value = savedScreenHeight;
     invertMouseInput.checked = savedInvertMouse;
+    pushToTalkInput.checked = savedPushToTalk;
+    // Shows the effective mode, which ?lan= in the URL can override
+    lanOnlyInput.checked = isLanOnly();
+    iceServersInput.value = savedIceServers;
+    maxConnectionsInput.value = this.network.maxMediaConnections;
+    rolloffInput.value = this.spatialAudio.rolloff;
     
     // Apply saved settings
     if (savedName) {
-      this.network.localPlayer.name = savedName;
+      this.network.updateLocalPlayer({ name: savedName });
       this.scene.setPlayerName(this.network.localPlayer.id, savedName);
     }
     if (savedColor !== this.network.localPlayer.color) {
-      this.network.localPlayer.color = savedColor;
+      this.network.updateLocalPlayer({ color: savedColor });
       this.scene.updatePlayerColor(this.network.localPlayer.id, savedColor);
     }
     // Apply saved mass
@@ -704,6 +875,7 @@ class CubeChat {
     
     // Apply saved invert mouse setting
     this.controller.setInvertMouse(savedInvertMouse);
+    this.setPushToTalk(savedPushToTalk);
 
     // Toggle settings menu
     settingsButton.addEventListener('click', () => {
@@ -733,10 +905,12 @@ class CubeChat {
       const newMass = parseFloat(massInput.value) || 1;
       const newScreenHeight = parseFloat(screenHeightInput.value) || 100;
       const newInvertMouse = invertMouseInput.checked;
+      const newPushToTalk = pushToTalkInput.checked;
+      const newIceServers = iceServersInput.value.trim();
+      const newMaxConnections = parseInt(maxConnectionsInput.value, 10);
       
       // Update local player
-      this.network.localPlayer.name = newName;
-      this.network.localPlayer.color = newColor;
+      this.network.updateLocalPlayer({ name: newName, color: newColor });
       
       // Save to localStorage
       localStorage.setItem('playerName', newName);
@@ -744,6 +918,24 @@ class CubeChat {
       localStorage.setItem('playerMass', newMass.toString());
       localStorage.setItem('screenHeight', newScreenHeight.toString());
       localStorage.setItem('invertMouse', newInvertMouse.toString());
+      localStorage.setItem('pushToTalk', newPushToTalk.toString());
+
+      // ICE settings apply to peer connections created from now on
+      localStorage.setItem('lanOnly', lanOnlyInput.checked.toString());
+      if (newIceServers && !parseIceServers(newIceServers)) {
+        this.logEvent('Invalid ICE servers - keeping previous setting', 'error');
+      } else {
+        localStorage.setItem('iceServers', newIceServers);
+      }
+
+      // The connection limit applies on the next proximity check
+      if (newMaxConnections > 0) {
+        localStorage.setItem('maxConnections', newMaxConnections.toString());
+        this.network.maxMediaConnections = newMaxConnections;
+      }
+
+      localStorage.setItem('audioRolloff', rolloffInput.value);
+      this.spatialAudio.setRolloff(rolloffInput.value);
       
       // Update visuals
       this.scene.updatePlayerColor(this.network.localPlayer.id, newColor);
@@ -758,6 +950,7 @@ class CubeChat {
       
       // Apply invert mouse setting
       this.controller.setInvertMouse(newInvertMouse);
+      this.setPushToTalk(newPushToTalk);
       
       // Broadcast updated info
       this.network.broadcastPlayerState();
@@ -791,6 +984,236 @@ class CubeChat {
         }
       }
     });
+
+    this.initMediaSettings();
+  }
+
+  initParticipantPanel() {
+    this.participantPanel = new ParticipantPanel(
+      document.getElementById('participant-panel'),
+      this.network,
+      this.remotePlayers,
+      this.voiceActivity,
+      {
+        focus: (peerId, follow) => this.setCameraFocus(peerId, follow),
+        getFocus: () => this.scene.getCameraFocus(),
+        setMuted: (peerId, muted) => this.setPeerMuted(peerId, muted),
+        isMuted: peerId => this.spatialAudio.isMuted(peerId),
+        setVideoHidden: (peerId, hidden) => this.setPeerVideoHidden(peerId, hidden),
+        isVideoHidden: peerId => this.hiddenVideo.has(peerId)
+      }
+    );
+    document.getElementById('participants-toggle').addEventListener('click', () => this.participantPanel.toggle());
+  }
+
+  initMinimap() {
+    this.minimap = new Minimap(
+      document.getElementById('minimap'),
+      this.scene,
+      this.network,
+      this.controller,
+      () => {
+        const rings = [{ radius: VIDEO_CONNECT_DISTANCE, color: '#00ffff' }];
+        // Only the linear falloff goes silent at a set distance - the others have no edge to draw
+        const rolloff = ROLLOFF_MODELS[this.spatialAudio.rolloff];
+        if (rolloff.distanceModel === 'linear') {
+          rings.push({ radius: rolloff.maxDistance, color: '#00ff88' });
+        }
+        return rings;
+      }
+    );
+  }
+
+  // Our billboard and everyone else's, for the minimap
+  updateMinimap() {
+    const billboards = [...this.remoteBillboards.values()].map(billboard => ({
+      mesh: billboard.mesh,
+      color: billboard.ownerColor
+    }));
+    if (this.screenBillboard) {
+      billboards.push({ mesh: this.screenBillboard, color: this.network.localPlayer.color });
+    }
+    this.minimap.update(billboards);
+  }
+
+  getPeerName(peerId) {
+    return this.network.peers.get(peerId)?.name || `${peerId.substring(0, 8)}...`;
+  }
+
+  // Look at (or follow) someone else's cube; null returns the camera to ours
+  setCameraFocus(peerId, follow = false) {
+    if (!peerId) {
+      if (this.scene.getCameraFocus()) {
+        this.scene.clearCameraFocus();
+        this.logEvent('Camera back on you', 'info');
+      }
+      return;
+    }
+    if (this.scene.focusCamera(peerId, follow)) {
+      this.logEvent(`${follow ? 'Following' : 'Looking at'} ${this.getPeerName(peerId)} - move to come back`, 'info');
+    }
+  }
+
+  // Only affects what we hear - their voice and their screen share audio
+  setPeerMuted(peerId, muted) {
+    this.spatialAudio.setMuted(peerId, muted);
+    this.spatialAudio.setMuted(`billboard-${peerId}`, muted);
+    this.logEvent(`${this.getPeerName(peerId)} ${muted ? 'muted' : 'unmuted'} for you`, 'info');
+  }
+
+  // Show their colored cube instead of their camera, and stop receiving the video
+  setPeerVideoHidden(peerId, hidden) {
+    if (hidden) {
+      this.hiddenVideo.add(peerId);
+    } else {
+      this.hiddenVideo.delete(peerId);
+    }
+    this.scene.setPlayerCameraOff(peerId, hidden || !!this.network.peers.get(peerId)?.camOff);
+    this.updateVideoQuality();
+    this.logEvent(`${this.getPeerName(peerId)}'s video ${hidden ? 'hidden' : 'shown'} for you`, 'info');
+  }
+
+  createReactionTray() {
+    if (document.getElementById('reaction-tray')) return;
+
+    const tray = document.createElement('div');
+    tray.id = 'reaction-tray';
+    REACTIONS.forEach((reaction) => {
+      const button = document.createElement('button');
+      button.className = 'reaction-button';
+      button.textContent = reaction.emoji;
+      button.title = reaction.label;
+      button.addEventListener('click', () => this.reactions.send(reaction.name));
+      tray.appendChild(button);
+    });
+    document.body.appendChild(tray);
+  }
+
+  // Short messages from people nearby (and our own) float over their cubes
+  // Direct messages stay in the chat panel
+  showChatBubble(entry) {
+    if (entry.scope === 'dm' || entry.text.length > CHAT_BUBBLE_MAX_LENGTH) return;
+
+    if (!entry.own) {
+      const peerData = this.network.peers.get(entry.peerId);
+      if (!peerData?.position || this.network.getDistanceToPeer(peerData) > CHAT_NEARBY_DISTANCE) return;
+    }
+    this.scene.showChatBubble(entry.peerId, entry.text);
+  }
+
+  // Mic/camera buttons and keys (M, V), and push-to-talk (hold T)
+  initMediaToggles() {
+    document.getElementById('mic-toggle').addEventListener('click', () => this.toggleMic());
+    document.getElementById('camera-toggle').addEventListener('click', () => this.toggleCamera());
+
+    this.controller.onMuteToggle(() => this.toggleMic());
+    this.controller.onCameraToggle(() => this.toggleCamera());
+    this.controller.onPushToTalk(() => this.updateMicState());
+  }
+
+  toggleMic() {
+    this.micMuted = !this.micMuted;
+    this.updateMicState();
+  }
+
+  toggleCamera() {
+    const camOff = !this.network.localPlayer.camOff;
+    this.network.setCameraOff(camOff);
+    this.scene.setPlayerCameraOff(this.network.localPlayer.id, camOff);
+
+    const button = document.getElementById('camera-toggle');
+    button.classList.toggle('off', camOff);
+    button.title = camOff ? 'Turn camera on (V)' : 'Turn camera off (V)';
+    this.logEvent(camOff ? 'Camera off' : 'Camera on', 'info');
+  }
+
+  setPushToTalk(enabled) {
+    this.pushToTalk = enabled;
+    this.controller.setPushToTalk(enabled);
+    this.updateMicState();
+  }
+
+  // The mic is live unless muted, or push-to-talk is on and the key isn't held
+  updateMicState() {
+    const muted = this.micMuted || (this.pushToTalk && !this.controller.isPushToTalkActive());
+    if (muted !== this.network.localPlayer.micMuted) {
+      this.network.setMicMuted(muted);
+      this.scene.setPlayerMicMuted(this.network.localPlayer.id, muted);
+    }
+
+    const button = document.getElementById('mic-toggle');
+    button.classList.toggle('off', muted);
+    button.title = this.micMuted ? 'Unmute microphone (M)' : 'Mute microphone (M)';
+  }
+
+  // Camera/microphone pickers and joining with media later
+  initMediaSettings() {
+    const cameraSelect = document.getElementById('camera-select');
+    const microphoneSelect = document.getElementById('microphone-select');
+    const enableMediaButton = document.getElementById('enable-media');
+    const mediaStatus = document.getElementById('media-status');
+
+    const switchDevice = async (kind, deviceId) => {
+      try {
+        const ok = await this.network.setMediaDevice(kind, deviceId);
+        mediaStatus.textContent = ok ? '' : 'Could not open camera or microphone';
+      } catch (error) {
+        console.error('Failed to switch device:', error);
+        mediaStatus.textContent = `Could not switch ${kind === 'videoinput' ? 'camera' : 'microphone'}`;
+        this.updateMediaControls();
+      }
+    };
+
+    cameraSelect.addEventListener('change', () => switchDevice('videoinput', cameraSelect.value));
+    microphoneSelect.addEventListener('change', () => switchDevice('audioinput', microphoneSelect.value));
+
+    enableMediaButton.addEventListener('click', async () => {
+      mediaStatus.textContent = 'Requesting camera and microphone...';
+      if (await this.network.enableMedia()) {
+        mediaStatus.textContent = '';
+        this.logEvent('Camera/mic enabled', 'video-success');
+      } else {
+        mediaStatus.textContent = 'Could not open camera or microphone - check browser permissions';
+      }
+    });
+
+    // Plugging in or removing a device updates the lists
+    navigator.mediaDevices?.addEventListener?.('devicechange', () => this.updateMediaControls());
+
+    this.updateMediaControls();
+  }
+
+  // Refill the device pickers, selecting the devices in use
+  async updateMediaControls() {
+    const cameraSelect = document.getElementById('camera-select');
+    const microphoneSelect = document.getElementById('microphone-select');
+    const localStream = this.network.getLocalStream();
+
+    document.getElementById('enable-media').style.display = localStream ? 'none' : 'block';
+
+    let devices;
+    try {
+      devices = await listMediaDevices();
+    } catch (error) {
+      console.warn('Could not list media devices:', error);
+      return;
+    }
+
+    const fill = (select, list, track) => {
+      select.innerHTML = list.map(device => `<option value="${device.deviceId}"></option>`).join('');
+      // Labels come from the browser - set as text, not markup
+      [...select.options].forEach((option, index) => {
+        option.textContent = list[index].label;
+      });
+      select.disabled = list.length === 0;
+      const current = track?.getSettings().deviceId;
+      if (current) {
+        select.value = current;
+      }
+    };
+
+    fill(cameraSelect, devices.cameras, localStream?.getVideoTracks()[0]);
+    fill(microphoneSelect, devices.microphones, localStream?.getAudioTracks()[0]);
   }
 
   async startScreenShare() {
@@ -801,7 +1224,8 @@ class CubeChat {
           cursor: 'always',
           frameRate: { ideal: 1, max: 1 }
         },
-        audio: false
+        // Shared tab/system audio plays from the billboard for everyone nearby
+        audio: true
       });
 
       // Get video track to get dimensions
@@ -854,6 +1278,7 @@ class CubeChat {
     // Create video element for texture
     const video = document.createElement('video');
     video.srcObject = this.screenStream;
+    video.muted = true; // Don't echo our own shared audio back
     video.play();
 
     // Create video texture
@@ -997,6 +1422,7 @@ class CubeChat {
       billboard.video.pause();
       billboard.video.srcObject = null;
     }
+    this.spatialAudio.removeSource(`billboard-${peerId}`);
 
     // Restore owner's cube name color
     this.scene.setPlayerNameColor(peerId, billboard.ownerColor);
@@ -1030,6 +1456,26 @@ class CubeChat {
     return sprite;
   }
 
+  updateVideoQuality() {
+    const localPos = this.scene.getLocalPlayerPosition();
+    if (!localPos) return;
+
+    this.remotePlayers.forEach((peerId) => {
+      const peerData = this.network.peers.get(peerId);
+      if (!peerData?.hasMedia || !peerData.position) return;
+
+      const dx = peerData.position.x - localPos.x;
+      const dz = peerData.position.z - localPos.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+
+      // Hidden for us - no point receiving it
+      const tier = this.hiddenVideo.has(peerId)
+        ? 'hidden'
+        : getVideoTier(distance, this.scene.getPlayerVisibility(peerId));
+      this.network.setPeerVideoTier(peerId, tier);
+    });
+  }
+
   updateRemoteBillboardProximity() {
     const localPos = this.scene.getLocalPlayerPosition();
     if (!localPos) return;
@@ -1047,11 +1493,17 @@ class CubeChat {
       // Get screen stream specifically (NOT camera stream)
       const screenStream = this.network.getRemoteScreenStream(peerId);
       
+      // Shared screen audio plays from the billboard - bigger screens carry further
+      if (inRange && screenStream) {
+        this.spatialAudio.setSource(`billboard-${peerId}`, screenStream, billboard.height / 100);
+      }
+
       // Update video texture based on proximity
       if (inRange && screenStream && !billboard.video) {
         // Create video element and apply to billboard
         const video = document.createElement('video');
         video.srcObject = screenStream;
+        video.muted = true; // Screen audio is played from the billboard's position instead
         video.play().catch(err => console.warn('Video autoplay blocked:', err));
         billboard.video = video;
 
@@ -1075,6 +1527,7 @@ class CubeChat {
         billboard.video.pause();
         billboard.video.srcObject = null;
         billboard.video = null;
+        this.spatialAudio.removeSource(`billboard-${peerId}`);
 
         // Revert to owner's color
         const colorObj = new THREE.Color(billboard.ownerColor);
@@ -1096,6 +1549,12 @@ class CubeChat {
     if (this.network) {
       this.network.stop();
     }
+    if (this.voiceActivity) {
+      this.voiceActivity.close();
+    }
+    if (this.spatialAudio) {
+      this.spatialAudio.close();
+    }
   }
 }
 
@@ -0,0 +1,117 @@
+// Text chat over the data channels, falling back to the relay
+// Scopes:
+//   'nearby' - everyone within CHAT_NEARBY_DISTANCE (the old proximity audio range)
+//   'room'   - everyone in the room
+//   'dm'     - one peer
+// A message can reach a peer both over its data channel and through the relay,
+// so every message carries an id and duplicates are dropped. History is kept
+// in memory for the session.
+
+export const CHAT_NEARBY_DISTANCE = 400;
+export const MAX_CHAT_LENGTH = 500;
+const MAX_HISTORY = 500;
+
+export class Chat {
+  constructor(network) {
+    this.network = network;
+    this.history = []; // { id, peerId, name, color, scope, to, text, time, own }
+    this.seenIds = new Set(); // Ids of the messages in history
+    this.sequence = 0;
+    this.messageHandlers = [];
+
+    network.onMessage((event) => {
+      if (event.type === 'chat') {
+        this.handleMessage(event.peerId, event.message);
+      }
+    });
+  }
+
+  // handler(entry) - called for every new history entry, ours included
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  getHistory() {
+    return this.history;
+  }
+
+  // Send `text` to a scope; `targetPeerId` is required for 'dm'
+  // Returns the history entry, or null if there was nothing to send
+  send(text, scope = 'nearby', targetPeerId = null) {
+    text = (text || '').trim().slice(0, MAX_CHAT_LENGTH);
+    if (!text || (scope === 'dm' && !targetPeerId)) return null;
+
+    const localPlayer = this.network.localPlayer;
+    const message = {
+      type: 'chat',
+      id: `${localPlayer.id}-${++this.sequence}`,
+      scope,
+      text,
+      name: localPlayer.name || null
+    };
+
+    if (scope === 'room') {
+      this.network.sendToRoom(message);
+    } else if (scope === 'dm') {
+      this.network.sendToPeer(targetPeerId, message);
+    } else {
+      this.getNearbyPeerIds().forEach(peerId => this.network.sendToPeer(peerId, message));
+    }
+
+    this.seenIds.add(message.id);
+    return this.addEntry({
+      id: message.id,
+      peerId: localPlayer.id,
+      name: localPlayer.name || null,
+      color: localPlayer.color,
+      scope,
+      to: scope === 'dm' ? targetPeerId : null,
+      text,
+      time: Date.now(),
+      own: true
+    });
+  }
+
+  getNearbyPeerIds() {
+    const nearby = [];
+    this.network.peers.forEach((peerData, peerId) => {
+      if (peerData.position && this.network.getDistanceToPeer(peerData) <= CHAT_NEARBY_DISTANCE) {
+        nearby.push(peerId);
+      }
+    });
+    return nearby;
+  }
+
+  handleMessage(peerId, message) {
+    if (!peerId || typeof message.id !== 'string' || typeof message.text !== 'string') return;
+    if (!message.id.startsWith(`${peerId}-`)) return; // Ids are namespaced by sender
+    if (this.seenIds.has(message.id)) return;
+    this.seenIds.add(message.id);
+
+    const scope = ['nearby', 'room', 'dm'].includes(message.scope) ? message.scope : 'nearby';
+    const peerData = this.network.peers.get(peerId);
+    this.addEntry({
+      id: message.id,
+      peerId,
+      name: peerData?.name || message.name || null,
+      color: peerData?.color || '#ffffff',
+      scope,
+      to: scope === 'dm' ? this.network.localPlayer.id : null,
+      text: message.text.slice(0, MAX_CHAT_LENGTH),
+      time: Date.now(),
+      own: false
+    });
+  }
+
+  addEntry(entry) {
+    this.history.push(entry);
+    if (this.history.length > MAX_HISTORY) {
+      // Every seen id has an entry, so this keeps seenIds as bounded as the history.
+      // Duplicates arrive within seconds, long before a message is this far back.
+      const dropped = this.history.shift();
+      this.seenIds.delete(dropped.id);
+    }
+    this.messageHandlers.forEach(handler => handler(entry));
+    return entry;
+  }
+}
@@ -0,0 +1,43 @@
+// NTP-style clock offset estimation
+// A ping carries the sender's clock (t0); the responder stamps receive and reply
+// times (t1, t2) in its clock; the sender notes when the pong came back (t3).
+//   offset = ((t1 - t0) + (t2 - t3)) / 2     - how far the remote clock is ahead of ours
+//   rtt    = (t3 - t0) - (t2 - t1)           - round trip minus time spent at the responder
+// Samples with the shortest round trip have the least asymmetric queuing, so the
+// estimate uses the offset of the lowest-RTT sample in a small window.
+
+const MAX_SAMPLES = 8;
+
+export class ClockSync {
+  constructor() {
+    this.samples = []; // { offset, rtt }, oldest first
+    this.offset = 0; // ms to add to Date.now() to get the remote clock
+    this.rtt = null; // ms, null until the first pong
+  }
+
+  addSample(t0, t1, t2, t3 = Date.now()) {
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+    const rtt = Math.max(0, (t3 - t0) - (t2 - t1));
+
+    this.samples.push({ offset, rtt });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    const best = this.samples.reduce((min, sample) => (sample.rtt < min.rtt ? sample : min));
+    this.offset = best.offset;
+    // Report the latest round trip, so RTT spikes are visible
+    this.rtt = rtt;
+  }
+
+  // Adopt an estimate made elsewhere (e.g. by the network worker)
+  setEstimate(offset, rtt) {
+    this.offset = offset;
+    this.rtt = rtt;
+  }
+
+  // Current time on the remote clock
+  now() {
+    return Date.now() + this.offset;
+  }
+}
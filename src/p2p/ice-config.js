@@ -0,0 +1,80 @@
+// ICE server configuration for WebRTC peer connections
+//
+// Sources, first match wins:
+//   1. URL:      ?ice=<servers>  and  ?lan=1
+//   2. Settings: localStorage 'iceServers' and 'lanOnly' (settings menu)
+//   3. Env:      VITE_ICE_SERVERS and VITE_LAN_ONLY
+//   4. Default:  Google's public STUN server
+// TURN servers handed out by the relay (ice_config message) are added on top.
+//
+// <servers> is either a JSON array of RTCIceServer objects, e.g.
+//   [{"urls":"turn:turn.example.com:3478","username":"u","credential":"p"}]
+// or a comma-separated list of plain URLs, e.g. stun:stun.example.com:3478,stun:10.0.0.2
+//
+// LAN-only mode uses no ICE servers at all and drops every non-host candidate,
+// so nothing leaves the local network (works air-gapped).
+
+export const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+function getUrlParams() {
+  return new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+}
+
+function getStoredSetting(key) {
+  return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+}
+
+// Parse a JSON array or comma-separated URL list into RTCIceServer objects
+// Returns null for empty or invalid input
+export function parseIceServers(text) {
+  if (!text || !text.trim()) return null;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const servers = JSON.parse(trimmed);
+      return Array.isArray(servers) ? servers.filter(server => server && server.urls) : null;
+    } catch (error) {
+      console.error('Invalid ICE server JSON:', error);
+      return null;
+    }
+  }
+
+  return trimmed.split(',').map(url => url.trim()).filter(Boolean).map(urls => ({ urls }));
+}
+
+export function isLanOnly() {
+  const param = getUrlParams().get('lan');
+  if (param !== null) return param === '1' || param === 'true';
+
+  const stored = getStoredSetting('lanOnly');
+  if (stored !== null) return stored === 'true';
+
+  const env = import.meta.env?.VITE_LAN_ONLY;
+  return env === '1' || env === 'true';
+}
+
+// Configured ICE servers, before anything the relay adds
+export function getConfiguredIceServers() {
+  return parseIceServers(getUrlParams().get('ice')) ||
+    parseIceServers(getStoredSetting('iceServers')) ||
+    parseIceServers(import.meta.env?.VITE_ICE_SERVERS) ||
+    DEFAULT_ICE_SERVERS;
+}
+
+// RTCConfiguration for a new peer connection
+// relayIceServers: TURN servers (with credentials) from the relay's ice_config message
+export function getRtcConfiguration(relayIceServers = []) {
+  if (isLanOnly()) {
+    return { iceServers: [] };
+  }
+  return { iceServers: [...getConfiguredIceServers(), ...relayIceServers] };
+}
+
+// True for host candidates (local interface addresses, including mDNS .local names)
+// Accepts an RTCIceCandidate or its JSON form
+export function isHostCandidate(candidate) {
+  if (!candidate) return false;
+  if (candidate.type) return candidate.type === 'host';
+  return / typ host( |$)/.test(candidate.candidate || '');
+}
@@ -0,0 +1,59 @@
+// Camera and microphone selection
+// The chosen devices are kept in localStorage ('cameraId', 'microphoneId') and
+// used whenever local media is opened. A device that has gone away since is
+// only a preference, so the browser falls back to another one.
+
+import { getCameraConstraints } from './video-quality.js';
+
+const STORAGE_KEYS = {
+  videoinput: 'cameraId',
+  audioinput: 'microphoneId'
+};
+
+// Storage can be missing (Node) or blocked (privacy settings) - then nothing is remembered
+export function getSavedDevice(kind) {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    return localStorage.getItem(STORAGE_KEYS[kind]) || null;
+  } catch (error) {
+    console.warn('Could not read saved device:', error);
+    return null;
+  }
+}
+
+export function saveDevice(kind, deviceId) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    if (deviceId) {
+      localStorage.setItem(STORAGE_KEYS[kind], deviceId);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS[kind]);
+    }
+  } catch (error) {
+    console.warn('Could not save device:', error);
+  }
+}
+
+// getUserMedia constraints for one kind of device
+// `exact` fails instead of falling back when the device isn't available
+export function getDeviceConstraints(kind, deviceId = getSavedDevice(kind), exact = false) {
+  const base = kind === 'videoinput' ? { ...getCameraConstraints() } : {};
+  if (!deviceId) {
+    return kind === 'videoinput' ? base : true;
+  }
+  return { ...base, deviceId: exact ? { exact: deviceId } : deviceId };
+}
+
+// Cameras and microphones, each as [{ deviceId, label }]
+// Labels are empty until the user has granted media permission once
+export async function listMediaDevices() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const list = (kind) => devices
+    .filter(device => device.kind === kind && device.deviceId)
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `${kind === 'videoinput' ? 'Camera' : 'Microphone'} ${index + 1}`
+    }));
+
+  return { cameras: list('videoinput'), microphones: list('audioinput') };
+}
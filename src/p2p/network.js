@@ -1,63 +1,118 @@
-// WebSocket server address - automatically uses the host that served the page
-// This allows phones and other devices to connect automatically
-function getWebSocketServer() {
-  // Check for environment variable override first
-  if (import.meta.env.VITE_WS_SERVER) {
-    return import.meta.env.VITE_WS_SERVER;
-  }
-  
-  // Auto-detect based on environment
-  // In dev mode (localhost), use local WebSocket server
-  // In production, use the production server
-  if (import.meta.env.DEV || window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-    return 'ws://localhost:8080';
-  }
-  
-  // Production: use secure WebSocket on secretworkshop.net
-  return `wss://secretworkshop.net/cubechat/`;
+import { WebSocketTransport, getWebSocketServer } from './transports/websocket-transport.js';
+import { StateSync } from './state-sync.js';
+import { WorkerStateSync, canUseNetworkWorker } from './state-sync-proxy.js';
+import { ClockSync } from './clock.js';
+import { getRtcConfiguration, isLanOnly, isHostCandidate } from './ice-config.js';
+import { SfuClient, getSfuUrl } from './sfu-client.js';
+import { VIDEO_TIERS, applyTierToEncoding } from './video-quality.js';
+import { getDeviceConstraints, saveDevice } from './media-devices.js';
+import { getCodecVersion, isBinaryMessage, toCodecVersion1 } from '@cubechat/codec';
+
+// Media connections open when a peer comes within VIDEO_CONNECT_DISTANCE and close
+// once it is beyond VIDEO_DISCONNECT_DISTANCE, so walking along the edge doesn't
+// tear connections down and rebuild them every second
+export const VIDEO_CONNECT_DISTANCE = 350; // Grid squares * 10 = units
+const VIDEO_DISCONNECT_DISTANCE = 450;
+// Connections stay up at least this long before proximity management may close them (ms)
+const MIN_CONNECTION_LIFETIME = 10000;
+// Default cap on direct media connections (the nearest peers win) - see getMaxMediaConnections()
+const DEFAULT_MAX_MEDIA_CONNECTIONS = 8;
+// After a peer declines our connection (it's at its own limit), wait this long before asking again
+const DECLINE_BACKOFF = 15000;
+// Window for the connection churn count shown in the event log
+const CHURN_WINDOW = 60000;
+
+// How often each data channel peer is pinged to measure round-trip time
+const PEER_PING_INTERVAL = 2000;
+
+// WebRTC recovery: a 'disconnected' connection often heals by itself, so wait a
+// little before restarting ICE. Restarts back off exponentially; after
+// MAX_ICE_RESTARTS the connection is torn down and rebuilt from scratch.
+const DISCONNECT_GRACE_PERIOD = 3000;
+const ICE_RESTART_BASE_DELAY = 1000;
+const ICE_RESTART_MAX_DELAY = 8000;
+const ICE_RESTART_TIMEOUT = 5000; // Time for a restart to reconnect before the next attempt
+const MAX_ICE_RESTARTS = 3;
+
+// Selective forwarding: with more than SFU_ENTER_PEERS media peers in video range
+// we publish to the SFU instead of sending to each of them, and go back to full
+// mesh once there are fewer than SFU_EXIT_PEERS (the gap keeps the mode from
+// flapping at the boundary). Only pairs where both peers use the SFU go through it.
+const SFU_ENTER_PEERS = 6;
+const SFU_EXIT_PEERS = 4;
+const SFU_RETRY_DELAY = 30000; // After failing to reach the SFU, stay in mesh mode this long
+
+// Room name from the page URL (e.g. ?room=standup)
+// Normalized the same way as the relay server so both agree on the name
+export function getRoomName() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  const room = (params.get('room') || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').substring(0, 32);
+  return room || 'lobby';
 }
 
-const WS_SERVER = getWebSocketServer();
+// Maximum number of direct media connections: ?maxConnections=, localStorage
+// 'maxConnections' or VITE_MAX_CONNECTIONS
+export function getMaxMediaConnections() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem('maxConnections') : null;
+  const value = parseInt(params.get('maxConnections') || stored || import.meta.env?.VITE_MAX_CONNECTIONS, 10);
+  return value > 0 ? value : DEFAULT_MAX_MEDIA_CONNECTIONS;
+}
+
+// Networking backend: 'websocket' (relay server, default), 'libp2p' (gossipsub) or 'loopback'
+// Set with ?transport=libp2p or the VITE_NETWORK_TRANSPORT environment variable
+export function getTransportName() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  const transport = params.get('transport') || import.meta.env?.VITE_NETWORK_TRANSPORT || 'websocket';
+  return transport.toLowerCase();
+}
 
-// P2P Network using WebSocket relay server with WebRTC support
+// P2P Network with WebRTC support on top of a pluggable signaling transport
+// (WebSocket relay by default - see ./transports for the interface).
+// Signaling, state serialization and peer bookkeeping live in StateSync, which runs
+// in a worker for the default relay; only WebRTC media stays on the main thread.
 export class P2PNetwork {
-  constructor() {
-    this.ws = null;
-    this.peers = new Map();
+  constructor(options = {}) {
+    this.transport = options.transport || null;
+    this.stateSync = null; // StateSync, or WorkerStateSync proxy when running in the worker
+    this.peers = new Map(); // Mirror of StateSync's peer table for synchronous lookups
     this.localPlayer = null;
     this.messageHandlers = [];
     this.localStream = null;
     this.peerConnections = new Map();
     this.remoteStreams = new Map();
     this.remoteScreenStreams = new Map(); // Store screen share streams separately
-    this.remoteCameraTracks = new Map(); // Store camera video tracks per peer
-    this.remoteScreenTracks = new Map(); // Store screen video tracks per peer
-    this.remoteAudioTracks = new Map(); // Store audio tracks per peer
-    this.remoteTrackIds = new Map(); // Track which track IDs we've seen for each peer
-    this.remoteScreenTrackIds = new Map(); // Store which track IDs are screen tracks per peer
+    this.remoteTracksByMid = new Map(); // peerId -> Map of transceiver mid -> received track
+    this.remoteManifests = new Map(); // peerId -> { mid: role } from the peer's track_manifest
+    this.remoteTracks = new Map(); // peerId -> Map of role -> track, classified by manifest
+    this.localTransceivers = new Map(); // peerId -> Map of role -> our sending transceiver
     this.pendingIceCandidates = new Map(); // Queue ICE candidates until ready
-    this.lastBroadcastState = null; // Track last broadcast state to detect changes
     this.dataChannels = new Map(); // Store data channels for each peer
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 1000; // Start with 1 second
-    this.isReconnecting = false;
-    this.shouldReconnect = true;
+    this.proximityInterval = null; // Timer started by startBroadcasting()
+    this.clock = new ClockSync(); // Mirror of StateSync's relay clock estimate
+    this.peerClocks = new Map(); // peerId -> ClockSync measured over the data channel
+    this.peerCodecVersions = new Map(); // peerId -> codec version of the states it sends us
+    this.peerPingInterval = null;
+    this.relayIceServers = []; // TURN servers with credentials from the relay's ice_config
+    this.connectionRecovery = new Map(); // peerId -> { attempts, timer, restarting } while recovering
+    this.negotiation = new Map(); // peerId -> perfect negotiation state (see handleDescription)
     this.screenStream = null; // Store screen stream for reconnections
+    this.room = options.room || getRoomName(); // Relay room this client belongs to
+    this.sfuUrl = options.sfuUrl ?? getSfuUrl(); // No SFU mode without one
+    this.sfu = null; // SfuClient while in SFU mode
+    this.sfuStarting = false;
+    this.sfuRetryAt = 0;
+    this.requestedTiers = new Map(); // peerId -> video tier we want from that peer
+    this.peerTiers = new Map(); // peerId -> video tier that peer wants from us
+    this.maxMediaConnections = options.maxMediaConnections ?? getMaxMediaConnections();
+    this.connectionStartTimes = new Map(); // peerId -> when the current connection was created
+    this.declinedUntil = new Map(); // peerId -> time until which we don't offer again
+    this.churnTimes = []; // Times of proximity connects/disconnects in the last CHURN_WINDOW
   }
 
   async init() {
-    // Request camera and microphone
-    try {
-      this.localStream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 320, height: 240 },
-        audio: true
-      });
-      console.log('Got local media stream');
-    } catch (error) {
-      console.error('Failed to get media:', error);
-      // Continue without media if denied
-    }
+    // Request camera and microphone - continue without media if denied, enableMedia() joins later
+    this.localStream = await this.openLocalMedia();
 
     // Generate player ID and deterministic color
     const playerId = this.generatePeerId();
@@ -68,149 +123,330 @@ export class P2PNetwork {
       velocity: { x: 0, y: 0, z: 0 },
       rotation: 0,
       hasMedia: !!this.localStream,
+      micMuted: false,
+      camOff: false,
       screenSharing: false,
-      billboardData: null
+      billboardData: null,
+      sfu: false
     };
 
-    // Connect to WebSocket server
-    return new Promise((resolve, reject) => {
-      try {
-        this.ws = new WebSocket(WS_SERVER);
-
-        this.ws.onopen = () => {
-          console.log('Connected to P2P relay server');
-          
-          // Announce presence
-          this.send({
-            type: 'join',
-            peerId: this.localPlayer.id,
-            data: this.localPlayer
-          });
-
-          console.log('P2P Network initialized (WebSocket Relay)');
-          console.log('Peer ID:', this.localPlayer.id);
-          console.log('Player Color:', this.localPlayer.color);
-
-          // Start broadcasting player state
-          this.startBroadcasting();
-
-          resolve(this.localPlayer);
-        };
-
-        this.ws.onmessage = (event) => {
-          this.handleMessage(JSON.parse(event.data));
-        };
-
-        this.ws.onerror = (error) => {
-          console.error('WebSocket error:', error);
-          reject(error);
-        };
-
-        this.ws.onclose = () => {
-          console.log('Disconnected from P2P server');
-          
-          // Attempt to reconnect if not intentionally stopped
-          if (this.shouldReconnect && !this.isReconnecting) {
-            this.attemptReconnect();
-          }
-        };
+    await this.connect();
+    return this.localPlayer;
+  }
 
-        // Timeout after 5 seconds
-        setTimeout(() => {
-          if (this.ws.readyState !== WebSocket.OPEN) {
-            reject(new Error('Connection timeout'));
-          }
-        }, 5000);
+  // Open the saved camera and microphone; if that fails, try each on its own
+  // (e.g. no camera, or only one of them allowed). Null if neither works.
+  async openLocalMedia() {
+    // Constraints are built inside the try too, so anything missing just means no media
+    const attempts = [
+      () => ({ video: getDeviceConstraints('videoinput'), audio: getDeviceConstraints('audioinput') }),
+      () => ({ audio: getDeviceConstraints('audioinput') }),
+      () => ({ video: getDeviceConstraints('videoinput') })
+    ];
+
+    for (const attempt of attempts) {
+      let constraints = {};
+      try {
+        constraints = attempt();
+        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        console.log('Got local media stream:', Object.keys(constraints).join(' + '));
+        return stream;
       } catch (error) {
-        console.error('Failed to initialize WebSocket:', error);
-        resolve(this.localPlayer);
+        console.error('Failed to get media:', Object.keys(constraints).join(' + '), error);
       }
-    });
+    }
+    return null;
   }
 
-  async handleMessage(message) {
-    // Don't process own messages
-    if (message.peerId === this.localPlayer.id) {
-      return;
+  // Start sending media after joining without it
+  // Returns false if media still couldn't be opened
+  async enableMedia() {
+    if (this.localStream) return true;
+
+    const stream = await this.openLocalMedia();
+    if (!stream) return false;
+
+    this.localStream = stream;
+    this.localPlayer.hasMedia = true;
+    this.applyLocalTrackStates();
+    this.peerConnections.forEach((pc, peerId) => this.addLocalTracks(peerId, pc));
+    this.sfu?.publish(this.localStream, this.screenStream);
+    this.broadcastPlayerState();
+    this.emitLocalStreamChanged();
+
+    // Peers with media connect to us once they see hasMedia, and our own proximity check
+    // picks up the ones we initiate with
+    console.log('Media enabled');
+    return true;
+  }
+
+  // Switch camera ('videoinput') or microphone ('audioinput') and remember the choice
+  // Existing connections swap the track in place with replaceTrack - no renegotiation
+  async setMediaDevice(kind, deviceId) {
+    saveDevice(kind, deviceId);
+    if (!this.localStream) {
+      return this.enableMedia();
     }
 
-    if (message.type === 'player_state') {
-      const wasNew = !this.peers.has(message.peerId);
-      this.peers.set(message.peerId, message.data);
-      
-      // Create WebRTC connection for new peer with media
-      // Use peer ID comparison to decide who initiates (prevents duplicate connections)
-      if (wasNew && this.localStream && message.data.hasMedia) {
-        // Only initiate if our peer ID is "greater" (alphabetically)
-        if (this.localPlayer.id > message.peerId) {
-          console.log('Initiating connection to', message.peerId);
-          await this.createPeerConnection(message.peerId);
-        } else {
-          console.log('Waiting for connection from', message.peerId);
-        }
-      }
-      
-      // Notify handlers
-      this.messageHandlers.forEach(handler => handler({
-        type: 'player_update',
-        peerId: message.peerId,
-        data: message.data
-      }));
+    const isVideo = kind === 'videoinput';
+    const role = isVideo ? 'camera' : 'mic';
+    const constraints = { [isVideo ? 'video' : 'audio']: getDeviceConstraints(kind, deviceId, !!deviceId) };
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    const track = isVideo ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
 
-      if (wasNew) {
-        console.log('New player joined:', message.peerId);
+    const oldTrack = isVideo ? this.localStream.getVideoTracks()[0] : this.localStream.getAudioTracks()[0];
+    if (oldTrack) {
+      this.localStream.removeTrack(oldTrack);
+      oldTrack.stop();
+    }
+    this.localStream.addTrack(track);
+    this.applyLocalTrackStates();
+
+    this.peerConnections.forEach((pc, peerId) => {
+      const transceiver = this.localTransceivers.get(peerId)?.get(role);
+      if (transceiver && transceiver.direction === 'sendonly') {
+        transceiver.sender.replaceTrack(track).catch((error) => {
+          console.error(`[${peerId}] Could not switch ${role}:`, error);
+        });
+      } else {
+        // We had no track of this kind yet, so the peer needs a new transceiver
+        this.addRoleTrack(peerId, pc, role, track, this.localStream);
       }
-    } else if (message.type === 'player_leave') {
-      this.peers.delete(message.peerId);
-      this.closePeerConnection(message.peerId);
+    });
+    this.sfu?.publish(this.localStream, this.screenStream);
+
+    this.emitLocalStreamChanged();
+    console.log(`Switched ${role} to`, track.label);
+    return true;
+  }
+
+  // Mute/unmute our mic for everyone - the track keeps flowing as silence, so
+  // nothing is renegotiated
+  setMicMuted(muted) {
+    this.localPlayer.micMuted = muted;
+    this.applyLocalTrackStates();
+    this.broadcastPlayerState();
+  }
+
+  // Turn our camera off/on for everyone (black frames while off; peers show our color)
+  setCameraOff(off) {
+    this.localPlayer.camOff = off;
+    this.applyLocalTrackStates();
+    this.broadcastPlayerState();
+  }
+
+  applyLocalTrackStates() {
+    if (!this.localStream) return;
+    this.localStream.getAudioTracks().forEach((track) => {
+      track.enabled = !this.localPlayer.micMuted;
+    });
+    this.localStream.getVideoTracks().forEach((track) => {
+      track.enabled = !this.localPlayer.camOff;
+    });
+  }
+
+  emitLocalStreamChanged() {
+    this.messageHandlers.forEach(handler => handler({
+      type: 'local_stream_changed',
+      stream: this.localStream
+    }));
+  }
+
+  // Connect to the signaling/state transport and announce ourselves
+  async connect() {
+    if (this.transport) {
+      // Custom transports (libp2p, loopback) run inline on this thread
+      this.stateSync = new StateSync(this.transport);
+    } else if (canUseNetworkWorker()) {
+      this.stateSync = new WorkerStateSync(getWebSocketServer());
+    } else {
+      this.transport = new WebSocketTransport();
+      this.stateSync = new StateSync(this.transport);
+    }
+
+    this.stateSync.onEvent((event) => {
+      this.handleSyncEvent(event);
+    });
+
+    await this.stateSync.connect(this.localPlayer, this.room);
+
+    console.log('P2P Network initialized', this.stateSync instanceof WorkerStateSync ? '(worker)' : '(inline)');
+    console.log('Room:', this.room);
+    console.log('Peer ID:', this.localPlayer.id);
+    console.log('Player Color:', this.localPlayer.color);
+
+    // Start managing media connections
+    this.startBroadcasting();
+  }
+
+  async handleSyncEvent(event) {
+    if (event.type === 'player_update') {
+      await this.handlePlayerState(event.peerId, event.data, event.wasNew, event.timestamp);
+    } else if (event.type === 'player_leave') {
+      this.peers.delete(event.peerId);
+      this.requestedTiers.delete(event.peerId);
+      this.sfu?.unsubscribe(event.peerId);
+      this.closePeerConnection(event.peerId);
       
       this.messageHandlers.forEach(handler => handler({
         type: 'player_leave',
-        peerId: message.peerId
+        peerId: event.peerId
       }));
       
-      console.log('Player left:', message.peerId);
-    } else if (message.type === 'webrtc-offer') {
-      await this.handleOffer(message.peerId, message.offer);
+      console.log('Player left:', event.peerId);
+    } else if (event.type === 'signal') {
+      await this.handleSignal(event.message);
+    } else if (event.type === 'channel_broadcast') {
+      this.sendToAllPeers(event.payload);
+    } else if (event.type === 'channel_message') {
+      this.handleChannelMessage(event.peerId, event.message);
+    } else if (event.type === 'peer_message') {
+      this.emitPeerMessage(event.peerId, event.message);
+    } else if (event.type === 'clock_update') {
+      this.clock.setEstimate(event.offset, event.rtt);
+    } else if (event.type === 'relay_reconnected') {
+      // Restarts sent while the relay was down were lost - retry broken connections now
+      this.peerConnections.forEach((pc, peerId) => {
+        if (!this.isConnectionHealthy(pc)) {
+          this.scheduleIceRestart(peerId, 0);
+        }
+      });
+    } else if (event.type === 'ice_config') {
+      // Used for peer connections created from now on
+      this.relayIceServers = event.iceServers || [];
+      console.log('Received', this.relayIceServers.length, 'ICE server(s) from relay');
+    }
+  }
+
+  // Shared network time in ms - the relay's clock, as estimated by clock pings.
+  // Use this (not Date.now()) for anything compared across peers.
+  now() {
+    return this.clock.now();
+  }
+
+  // Round-trip time to the relay in ms, or null before the first measurement
+  getRelayRtt() {
+    return this.clock.rtt;
+  }
+
+  // Round-trip time to a peer over its data channel in ms, or null if unknown
+  getPeerRtt(peerId) {
+    return this.peerClocks.get(peerId)?.rtt ?? null;
+  }
+
+  async handleSignal(message) {
+    if (message.type === 'webrtc-offer') {
+      await this.handleDescription(message.peerId, message.offer, message.rebuild);
     } else if (message.type === 'webrtc-answer') {
-      await this.handleAnswer(message.peerId, message.answer);
+      await this.handleDescription(message.peerId, message.answer);
+    } else if (message.type === 'webrtc-decline') {
+      this.handleDecline(message.peerId);
     } else if (message.type === 'webrtc-ice') {
       await this.handleIceCandidate(message.peerId, message.candidate);
     }
   }
 
-  async createPeerConnection(peerId) {
+  async handlePlayerState(peerId, data, wasNew, timestamp = null) {
+    this.peers.set(peerId, data);
+    
+    // Create WebRTC connection for new peer with media
+    // Use peer ID comparison to decide who initiates (prevents duplicate connections)
+    // Peers outside video range are picked up later by the proximity check
+    if (wasNew && this.localStream && data.hasMedia && !this.usesSfu(data) &&
+        this.getWantedMediaPeers().mesh.has(peerId)) {
+      // Only initiate if our peer ID is "greater" (alphabetically)
+      if (this.localPlayer.id > peerId) {
+        console.log('Initiating connection to', peerId);
+        await this.createPeerConnection(peerId);
+      } else {
+        console.log('Waiting for connection from', peerId);
+      }
+    }
+    
+    // Notify handlers
+    this.messageHandlers.forEach(handler => handler({
+      type: 'player_update',
+      peerId: peerId,
+      data: data,
+      timestamp: timestamp // Shared network time the state was sent, null if unknown
+    }));
+
+    if (wasNew) {
+      console.log('New player joined:', peerId);
+    }
+  }
+
+  getDistanceToPeer(peerData) {
+    const dx = peerData.position.x - this.localPlayer.position.x;
+    const dz = peerData.position.z - this.localPlayer.position.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  isWithinVideoRange(peerData) {
+    return this.getDistanceToPeer(peerData) <= VIDEO_CONNECT_DISTANCE;
+  }
+
+  // Peers we want media with. `inRange`: peers with media within the connect
+  // radius, plus the ones we're already connected to until they pass the
+  // disconnect radius. `mesh`: the nearest of those that don't go through the
+  // SFU, up to the connection limit. `pendingPeerId` counts as connected (an
+  // offer we're deciding on).
+  getWantedMediaPeers(pendingPeerId = null) {
+    const candidates = [];
+    this.peers.forEach((peerData, peerId) => {
+      if (!peerData.hasMedia) return;
+
+      const distance = this.getDistanceToPeer(peerData);
+      const connected = peerId === pendingPeerId || this.peerConnections.has(peerId) || this.sfu?.isSubscribed(peerId);
+      if (distance <= VIDEO_CONNECT_DISTANCE || (connected && distance <= VIDEO_DISCONNECT_DISTANCE)) {
+        candidates.push({ peerId, distance, sfu: this.usesSfu(peerData) });
+      }
+    });
+
+    candidates.sort((a, b) => a.distance - b.distance);
+    return {
+      inRange: new Set(candidates.map(candidate => candidate.peerId)),
+      mesh: new Set(candidates
+        .filter(candidate => !candidate.sfu)
+        .slice(0, this.maxMediaConnections)
+        .map(candidate => candidate.peerId))
+    };
+  }
+
+  // Connect to a peer we initiate with (the side with the greater peer ID)
+  // options.rebuild: tell the peer to replace its existing connection with this one
+  async createPeerConnection(peerId, options = {}) {
     // Don't create duplicate connections
     if (this.peerConnections.has(peerId)) {
       console.log('Connection already exists for', peerId);
       return;
     }
     
-    const config = {
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-    };
-    
-    const pc = new RTCPeerConnection(config);
-    this.peerConnections.set(peerId, pc);
+    const pc = this.setupPeerConnection(peerId);
+    this.negotiation.get(peerId).rebuild = !!options.rebuild;
 
     // Create data channel for position updates
+    // This and the tracks added in setupPeerConnection fire negotiationneeded,
+    // which sends the offer
     const dataChannel = pc.createDataChannel('playerState');
     this.setupDataChannel(peerId, dataChannel);
+  }
 
-    // Add local tracks if available
-    if (this.localStream) {
-      this.localStream.getTracks().forEach(track => {
-        pc.addTrack(track, this.localStream);
-      });
-    }
+  // New RTCPeerConnection for a peer with our tracks and all event handlers
+  setupPeerConnection(peerId) {
+    const pc = this.createRTCPeerConnection();
+    this.peerConnections.set(peerId, pc);
+    this.connectionStartTimes.set(peerId, Date.now());
+    this.negotiation.set(peerId, {
+      makingOffer: false,
+      ignoreOffer: false,
+      isSettingRemoteAnswerPending: false,
+      rebuild: false
+    });
+    this.monitorConnection(peerId, pc);
 
-    // Add screen share tracks if currently sharing
-    if (this.screenStream) {
-      this.screenStream.getTracks().forEach(track => {
-        pc.addTrack(track, this.screenStream);
-        console.log('Added screen track to new peer connection', peerId);
-      });
-    }
+    // One dedicated send-only transceiver per local track role
+    this.addLocalTracks(peerId, pc);
 
     // Handle incoming data channels
     pc.ondatachannel = (event) => {
@@ -218,475 +454,544 @@ export class P2PNetwork {
       this.setupDataChannel(peerId, event.channel);
     };
 
-    // Handle incoming tracks with robust track type separation
+    // Incoming tracks are parked by transceiver mid until the peer's
+    // track_manifest tells us what each mid carries
     pc.ontrack = (event) => {
-      const track = event.track;
-      
-      console.log(`[${peerId}] Received ${track.kind} track:`, {
-        id: track.id,
-        label: track.label,
-        settings: track.getSettings()
-      });
-      
-      // Initialize track ID set for this peer if not exists
-      if (!this.remoteTrackIds.has(peerId)) {
-        this.remoteTrackIds.set(peerId, new Set());
-      }
-      
-      const seenTracks = this.remoteTrackIds.get(peerId);
-      const isNewTrack = !seenTracks.has(track.id);
-      
-      if (!isNewTrack) {
-        console.log(`[${peerId}] Track ${track.id} already processed, skipping`);
-        return;
-      }
-      
-      seenTracks.add(track.id);
-      
-      // ROBUST TRACK TYPE DETECTION
-      // Determine track type based on multiple signals
-      const settings = track.getSettings();
-      const label = track.label.toLowerCase();
-      
-      let trackType = 'unknown';
-      
-      if (track.kind === 'audio') {
-        trackType = 'audio';
-      } else if (track.kind === 'video') {
-        // Check metadata first - most reliable
-        const screenTrackIds = this.remoteScreenTrackIds?.get(peerId);
-        const isInMetadata = screenTrackIds?.has(track.id);
-        
-        // Check for screen share indicators (in priority order)
-        const hasDisplaySurface = settings.displaySurface !== undefined;
-        const hasScreenLabel = label.includes('screen') || label.includes('monitor') || label.includes('window');
-        
-        if (isInMetadata) {
-          trackType = 'screen';
-          console.log(`[${peerId}] SCREEN track detected via metadata:`, track.id);
-        } else if (hasDisplaySurface) {
-          trackType = 'screen';
-          console.log(`[${peerId}] SCREEN track detected via displaySurface:`, settings.displaySurface);
-        } else if (hasScreenLabel) {
-          trackType = 'screen';
-          console.log(`[${peerId}] SCREEN track detected via label:`, track.label);
-        } else {
-          trackType = 'camera';
-          console.log(`[${peerId}] CAMERA track detected (no screen indicators)`);
-        }
+      const mid = event.transceiver?.mid;
+      console.log(`[${peerId}] Received ${event.track.kind} track on mid ${mid}`);
+
+      if (!this.remoteTracksByMid.has(peerId)) {
+        this.remoteTracksByMid.set(peerId, new Map());
       }
-      
-      // Store track by type
-      if (trackType === 'audio') {
-        if (!this.remoteAudioTracks.has(peerId)) {
-          this.remoteAudioTracks.set(peerId, []);
-        }
-        this.remoteAudioTracks.get(peerId).push(track);
-        console.log(`[${peerId}] Stored AUDIO track`);
-      } else if (trackType === 'camera') {
-        if (!this.remoteCameraTracks.has(peerId)) {
-          this.remoteCameraTracks.set(peerId, []);
-        }
-        this.remoteCameraTracks.get(peerId).push(track);
-        console.log(`[${peerId}] Stored CAMERA track`);
-      } else if (trackType === 'screen') {
-        if (!this.remoteScreenTracks.has(peerId)) {
-          this.remoteScreenTracks.set(peerId, []);
-        }
-        this.remoteScreenTracks.get(peerId).push(track);
-        console.log(`[${peerId}] Stored SCREEN track`);
+      this.remoteTracksByMid.get(peerId).set(mid, event.track);
+      this.classifyRemoteTracks(peerId);
+    };
+
+    // Mids are final once a negotiation completes - tell the peer which is which
+    pc.onsignalingstatechange = () => {
+      if (pc.signalingState === 'stable' && this.peerConnections.get(peerId) === pc) {
+        this.sendTrackManifest(peerId);
+        this.applyVideoTier(peerId); // Encodings exist once negotiated
       }
-      
-      // Rebuild streams from stored tracks
-      this.rebuildPeerStreams(peerId);
     };
 
     // Handle ICE candidates
     pc.onicecandidate = (event) => {
-      if (event.candidate) {
+      this.sendIceCandidate(peerId, event.candidate);
+    };
+
+    // Every (re)negotiation - initial offer, screen share tracks, ICE restarts -
+    // starts here
+    pc.onnegotiationneeded = () => {
+      this.handleNegotiationNeeded(peerId, pc);
+    };
+
+    return pc;
+  }
+
+  // Perfect negotiation: both sides may offer at any time. On a collision the
+  // polite peer (smaller peer ID) rolls back its own offer and accepts the other
+  // one; the impolite peer ignores the incoming offer and keeps its own.
+  isPolite(peerId) {
+    return this.localPlayer.id < peerId;
+  }
+
+  async handleNegotiationNeeded(peerId, pc) {
+    const negotiation = this.negotiation.get(peerId);
+    if (!negotiation || this.peerConnections.get(peerId) !== pc) return;
+
+    try {
+      negotiation.makingOffer = true;
+      await pc.setLocalDescription();
+      this.send({
+        type: 'webrtc-offer',
+        peerId: this.localPlayer.id,
+        targetPeer: peerId,
+        offer: pc.localDescription,
+        rebuild: negotiation.rebuild
+      });
+      negotiation.rebuild = false;
+    } catch (error) {
+      console.error('Error creating offer for', peerId, error);
+    } finally {
+      negotiation.makingOffer = false;
+    }
+  }
+
+  // Offer or answer from a peer
+  async handleDescription(peerId, description, rebuild = false) {
+    let pc = this.peerConnections.get(peerId);
+
+    // The other side gave up on the old connection and started a fresh one
+    if (pc && rebuild && description.type === 'offer') {
+      console.log('Peer', peerId, 'rebuilt the connection - replacing ours');
+      this.closePeerConnection(peerId);
+      pc = null;
+    }
+
+    if (!pc) {
+      // An answer for a connection we already closed
+      if (description.type !== 'offer') return;
+
+      // The peer hasn't noticed yet that we both use the SFU now
+      const peerData = this.peers.get(peerId);
+      if (peerData && this.usesSfu(peerData)) {
+        console.log('Ignoring mesh offer from', peerId, '- both using the SFU');
+        return;
+      }
+
+      // Nearer peers already use up our connections
+      if (peerData && !this.getWantedMediaPeers(peerId).mesh.has(peerId)) {
+        console.log('Declining connection from', peerId, '- at the connection limit');
+        this.send({ type: 'webrtc-decline', peerId: this.localPlayer.id, targetPeer: peerId });
+        return;
+      }
+
+      console.log('Accepting connection from', peerId);
+      pc = this.setupPeerConnection(peerId);
+    }
+
+    const negotiation = this.negotiation.get(peerId);
+    const readyForOffer = !negotiation.makingOffer &&
+      (pc.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+
+    negotiation.ignoreOffer = !this.isPolite(peerId) && offerCollision;
+    if (negotiation.ignoreOffer) {
+      console.log('Ignoring colliding offer from', peerId);
+      return;
+    }
+
+    try {
+      // On a collision the polite side's pending offer is rolled back implicitly
+      negotiation.isSettingRemoteAnswerPending = description.type === 'answer';
+      await pc.setRemoteDescription(description);
+      negotiation.isSettingRemoteAnswerPending = false;
+
+      await this.addPendingIceCandidates(peerId, pc);
+
+      if (description.type === 'offer') {
+        await pc.setLocalDescription();
         this.send({
-          type: 'webrtc-ice',
+          type: 'webrtc-answer',
           peerId: this.localPlayer.id,
           targetPeer: peerId,
-          candidate: event.candidate
+          answer: pc.localDescription
         });
       }
-    };
+    } catch (error) {
+      negotiation.isSettingRemoteAnswerPending = false;
+      console.error(`Error handling ${description.type} from`, peerId, error);
+    }
+  }
+
+  // Add ICE candidates that arrived before the remote description
+  async addPendingIceCandidates(peerId, pc) {
+    const candidates = this.pendingIceCandidates.get(peerId);
+    if (!candidates) return;
+
+    this.pendingIceCandidates.delete(peerId);
+    for (const candidate of candidates) {
+      try {
+        await pc.addIceCandidate(candidate);
+      } catch (error) {
+        console.error('Error adding queued ICE candidate:', error);
+      }
+    }
+  }
+
+  // RTCPeerConnection with the configured ICE servers (see ice-config.js)
+  createRTCPeerConnection() {
+    return new RTCPeerConnection(getRtcConfiguration(this.relayIceServers));
+  }
+
+  sendIceCandidate(peerId, candidate) {
+    if (!candidate) return;
+
+    // LAN-only: never advertise server-reflexive or relayed addresses
+    if (isLanOnly() && !isHostCandidate(candidate)) return;
 
-    // Create and send offer
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
     this.send({
-      type: 'webrtc-offer',
+      type: 'webrtc-ice',
       peerId: this.localPlayer.id,
       targetPeer: peerId,
-      offer: offer
+      candidate: candidate
     });
   }
 
-  async handleOffer(peerId, offer) {
-    let pc = this.peerConnections.get(peerId);
+  async handleIceCandidate(peerId, candidate) {
+    const pc = this.peerConnections.get(peerId);
+    if (!pc) return;
+
+    // LAN-only: ignore non-host candidates from peers that aren't in LAN-only mode
+    if (isLanOnly() && !isHostCandidate(candidate)) return;
     
-    // If connection exists, this is a renegotiation
-    if (pc) {
-      console.log('Renegotiating connection with', peerId);
-      
-      try {
-        await pc.setRemoteDescription(offer);
-        
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
-        
-        this.send({
-          type: 'webrtc-answer',
-          peerId: this.localPlayer.id,
-          targetPeer: peerId,
-          answer: answer
-        });
-        
-        console.log('Sent renegotiation answer to', peerId);
-      } catch (error) {
-        console.error('Error handling renegotiation offer:', error);
+    // If remote description isn't set yet, queue the candidate
+    if (!pc.remoteDescription) {
+      if (!this.pendingIceCandidates.has(peerId)) {
+        this.pendingIceCandidates.set(peerId, []);
       }
-      
+      this.pendingIceCandidates.get(peerId).push(candidate);
       return;
     }
     
-    console.log('Accepting connection from', peerId);
+    try {
+      await pc.addIceCandidate(candidate);
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (!this.negotiation.get(peerId)?.ignoreOffer) {
+        console.error('Error adding ICE candidate:', error);
+      }
+    }
+  }
+
+  setupDataChannel(peerId, channel) {
+    this.dataChannels.set(peerId, channel);
+    // Player states arrive as binary (codec.js); make sure they aren't delivered as Blobs
+    channel.binaryType = 'arraybuffer';
 
-    const config = {
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+    channel.onopen = () => {
+      console.log('Data channel opened with', peerId);
+      this.sendPeerPing(peerId, channel);
+      this.sendTrackManifest(peerId);
+      this.sendVideoTier(peerId);
     };
-    
-    pc = new RTCPeerConnection(config);
-    this.peerConnections.set(peerId, pc);
 
-    // Handle incoming data channels
-    pc.ondatachannel = (event) => {
-      console.log('Received data channel from', peerId);
-      this.setupDataChannel(peerId, event.channel);
+    channel.onclose = () => {
+      console.log('Data channel closed with', peerId);
+      this.dataChannels.delete(peerId);
     };
 
-    // Add local tracks if available
-    if (this.localStream) {
-      this.localStream.getTracks().forEach(track => {
-        pc.addTrack(track, this.localStream);
-      });
-    }
+    channel.onerror = (error) => {
+      console.error('Data channel error with', peerId, error);
+    };
 
-    // Add screen share tracks if currently sharing
-    if (this.screenStream) {
-      this.screenStream.getTracks().forEach(track => {
-        pc.addTrack(track, this.screenStream);
-        console.log('Added screen track to new peer connection', peerId);
-      });
+    // Parsing happens in StateSync; non-state messages come back as channel_message
+    channel.onmessage = (event) => {
+      if (this.handleClockMessage(peerId, channel, event.data)) return;
+      if (isBinaryMessage(event.data)) {
+        this.peerCodecVersions.set(peerId, getCodecVersion(event.data));
+      }
+      this.stateSync.handleChannelMessage(peerId, event.data);
+    };
+  }
+
+  handleChannelMessage(peerId, message) {
+    if (message.type === 'track_manifest') {
+      console.log(`[${peerId}] Received track manifest:`, message.tracks);
+      this.remoteManifests.set(peerId, message.tracks || {});
+      this.classifyRemoteTracks(peerId);
+    } else if (message.type === 'video_tier' && VIDEO_TIERS[message.tier]) {
+      this.peerTiers.set(peerId, message.tier);
+      this.applyVideoTier(peerId);
+    } else if (message.type === 'chat' || message.type === 'reaction') {
+      this.emitPeerMessage(peerId, message);
     }
+  }
 
-    // Handle incoming tracks with robust track type separation
-    pc.ontrack = (event) => {
-      const track = event.track;
-      
-      console.log(`[${peerId}] Received ${track.kind} track:`, {
-        id: track.id,
-        label: track.label,
-        settings: track.getSettings()
-      });
-      
-      // Initialize track ID set for this peer if not exists
-      if (!this.remoteTrackIds.has(peerId)) {
-        this.remoteTrackIds.set(peerId, new Set());
-      }
-      
-      const seenTracks = this.remoteTrackIds.get(peerId);
-      const isNewTrack = !seenTracks.has(track.id);
-      
-      if (!isNewTrack) {
-        console.log(`[${peerId}] Track ${track.id} already processed, skipping`);
+  // Chat and similar messages, from a data channel or the relay - the same
+  // message may arrive both ways, so handlers dedupe by message id
+  emitPeerMessage(peerId, message) {
+    this.messageHandlers.forEach(handler => handler({
+      type: message.type,
+      peerId,
+      message
+    }));
+  }
+
+  // Send a message to one peer over its data channel, or through the relay if
+  // there is no open channel
+  sendToPeer(peerId, message) {
+    const channel = this.dataChannels.get(peerId);
+    if (channel && channel.readyState === 'open') {
+      try {
+        channel.send(JSON.stringify(message));
         return;
+      } catch (error) {
+        console.error('Error sending to peer', peerId, error);
       }
-      
-      seenTracks.add(track.id);
-      
-      // ROBUST TRACK TYPE DETECTION
-      // Determine track type based on multiple signals
-      const settings = track.getSettings();
-      const label = track.label.toLowerCase();
-      
-      let trackType = 'unknown';
-      
-      if (track.kind === 'audio') {
-        trackType = 'audio';
-      } else if (track.kind === 'video') {
-        // Check metadata first - most reliable
-        const screenTrackIds = this.remoteScreenTrackIds?.get(peerId);
-        const isInMetadata = screenTrackIds?.has(track.id);
-        
-        // Check for screen share indicators (in priority order)
-        const hasDisplaySurface = settings.displaySurface !== undefined;
-        const hasScreenLabel = label.includes('screen') || label.includes('monitor') || label.includes('window');
-        
-        if (isInMetadata) {
-          trackType = 'screen';
-          console.log(`[${peerId}] SCREEN track detected via metadata:`, track.id);
-        } else if (hasDisplaySurface) {
-          trackType = 'screen';
-          console.log(`[${peerId}] SCREEN track detected via displaySurface:`, settings.displaySurface);
-        } else if (hasScreenLabel) {
-          trackType = 'screen';
-          console.log(`[${peerId}] SCREEN track detected via label:`, track.label);
-        } else {
-          trackType = 'camera';
-          console.log(`[${peerId}] CAMERA track detected (no screen indicators)`);
-        }
-      }
-      
-      // Store track by type
-      if (trackType === 'audio') {
-        if (!this.remoteAudioTracks.has(peerId)) {
-          this.remoteAudioTracks.set(peerId, []);
-        }
-        this.remoteAudioTracks.get(peerId).push(track);
-        console.log(`[${peerId}] Stored AUDIO track`);
-      } else if (trackType === 'camera') {
-        if (!this.remoteCameraTracks.has(peerId)) {
-          this.remoteCameraTracks.set(peerId, []);
-        }
-        this.remoteCameraTracks.get(peerId).push(track);
-        console.log(`[${peerId}] Stored CAMERA track`);
-      } else if (trackType === 'screen') {
-        if (!this.remoteScreenTracks.has(peerId)) {
-          this.remoteScreenTracks.set(peerId, []);
-        }
-        this.remoteScreenTracks.get(peerId).push(track);
-        console.log(`[${peerId}] Stored SCREEN track`);
-      }
-      
-      // Rebuild streams from stored tracks
-      this.rebuildPeerStreams(peerId);
-    };
+    }
+    this.send({ ...message, peerId: this.localPlayer.id, targetPeer: peerId });
+  }
 
-    // Handle ICE candidates
-    pc.onicecandidate = (event) => {
-      if (event.candidate) {
-        this.send({
-          type: 'webrtc-ice',
-          peerId: this.localPlayer.id,
-          targetPeer: peerId,
-          candidate: event.candidate
-        });
-      }
-    };
+  // Send a message to everyone in the room: over the open data channels, and
+  // through the relay for peers we have no channel to
+  sendToRoom(message) {
+    const payload = JSON.stringify(message);
+    const reached = this.sendToAllPeers(payload);
+    if (reached < this.peers.size) {
+      this.send({ ...message, peerId: this.localPlayer.id });
+    }
+  }
 
-    await pc.setRemoteDescription(offer);
-    
-    // Process any queued ICE candidates
-    if (this.pendingIceCandidates.has(peerId)) {
-      const candidates = this.pendingIceCandidates.get(peerId);
-      for (const candidate of candidates) {
-        try {
-          await pc.addIceCandidate(candidate);
-        } catch (error) {
-          console.error('Error adding queued ICE candidate:', error);
-        }
-      }
-      this.pendingIceCandidates.delete(peerId);
+  // Ask a peer for a video quality tier ('full', 'medium', 'thumbnail', 'hidden' -
+  // see video-quality.js), over the data channel or through the SFU
+  setPeerVideoTier(peerId, tier) {
+    if (this.requestedTiers.get(peerId) === tier) return;
+    this.requestedTiers.set(peerId, tier);
+    this.sendVideoTier(peerId);
+    this.sfu?.setLayer(peerId, VIDEO_TIERS[tier].layer);
+  }
+
+  sendVideoTier(peerId) {
+    const tier = this.requestedTiers.get(peerId);
+    const channel = this.dataChannels.get(peerId);
+    if (!tier || !channel || channel.readyState !== 'open') return;
+
+    channel.send(JSON.stringify({ type: 'video_tier', tier }));
+  }
+
+  // Encode our camera for a peer at the tier it asked for
+  async applyVideoTier(peerId) {
+    const tier = this.peerTiers.get(peerId);
+    const sender = this.localTransceivers.get(peerId)?.get('camera')?.sender;
+    if (!tier || !sender) return;
+
+    const params = sender.getParameters();
+    if (!params.encodings || params.encodings.length === 0) return; // Not negotiated yet
+
+    params.encodings[0] = applyTierToEncoding(params.encodings[0], tier);
+    try {
+      await sender.setParameters(params);
+      console.log(`[${peerId}] Sending video at ${tier} quality`);
+    } catch (error) {
+      console.warn(`[${peerId}] Could not apply ${tier} video quality:`, error);
     }
-    
-    const answer = await pc.createAnswer();
-    await pc.setLocalDescription(answer);
-    
-    this.send({
-      type: 'webrtc-answer',
-      peerId: this.localPlayer.id,
-      targetPeer: peerId,
-      answer: answer
+  }
+
+  // Add our tracks to a new connection, each with its own transceiver and role
+  addLocalTracks(peerId, pc) {
+    if (this.localStream) {
+      this.localStream.getVideoTracks().forEach(track => this.addRoleTrack(peerId, pc, 'camera', track, this.localStream));
+      this.localStream.getAudioTracks().forEach(track => this.addRoleTrack(peerId, pc, 'mic', track, this.localStream));
+    }
+    if (this.screenStream) {
+      this.addScreenTracks(peerId, pc);
+    }
+  }
+
+  addScreenTracks(peerId, pc) {
+    this.screenStream.getVideoTracks().forEach(track => this.addRoleTrack(peerId, pc, 'screen', track, this.screenStream));
+    this.screenStream.getAudioTracks().forEach(track => this.addRoleTrack(peerId, pc, 'screen-audio', track, this.screenStream));
+    console.log('Added screen tracks to peer connection', peerId);
+  }
+
+  // Send a track in `role` (camera, mic, screen, screen-audio), reusing that
+  // role's transceiver if the connection already has one. Either way this fires
+  // negotiationneeded.
+  addRoleTrack(peerId, pc, role, track, stream) {
+    if (!this.localTransceivers.has(peerId)) {
+      this.localTransceivers.set(peerId, new Map());
+    }
+    const transceivers = this.localTransceivers.get(peerId);
+    const existing = transceivers.get(role);
+
+    if (existing) {
+      existing.sender.replaceTrack(track);
+      existing.sender.setStreams?.(stream);
+      existing.direction = 'sendonly';
+    } else {
+      transceivers.set(role, pc.addTransceiver(track, { direction: 'sendonly', streams: [stream] }));
+    }
+  }
+
+  // Stop sending a role's track; the transceiver stays around for reuse
+  removeRoleTrack(peerId, role) {
+    const transceiver = this.localTransceivers.get(peerId)?.get(role);
+    if (!transceiver || transceiver.direction === 'inactive') return;
+
+    transceiver.sender.replaceTrack(null);
+    transceiver.direction = 'inactive';
+  }
+
+  // Tell a peer which of our transceiver mids carries which role
+  // Only active, negotiated transceivers are listed
+  sendTrackManifest(peerId) {
+    const channel = this.dataChannels.get(peerId);
+    if (!channel || channel.readyState !== 'open') return;
+
+    const tracks = {};
+    this.localTransceivers.get(peerId)?.forEach((transceiver, role) => {
+      if (transceiver.mid !== null && transceiver.direction === 'sendonly' && transceiver.sender.track) {
+        tracks[transceiver.mid] = role;
+      }
     });
+
+    channel.send(JSON.stringify({ type: 'track_manifest', tracks }));
+    console.log('Sent track manifest to', peerId, tracks);
   }
 
-  async handleAnswer(peerId, answer) {
-    const pc = this.peerConnections.get(peerId);
-    if (pc && pc.signalingState === 'have-local-offer') {
-      await pc.setRemoteDescription(answer);
-      
-      // Process any queued ICE candidates
-      if (this.pendingIceCandidates.has(peerId)) {
-        const candidates = this.pendingIceCandidates.get(peerId);
-        for (const candidate of candidates) {
-          try {
-            await pc.addIceCandidate(candidate);
-          } catch (error) {
-            console.error('Error adding queued ICE candidate:', error);
-          }
-        }
-        this.pendingIceCandidates.delete(peerId);
+  // Sort a peer's received tracks into roles using its manifest
+  classifyRemoteTracks(peerId) {
+    const manifest = this.remoteManifests.get(peerId);
+    if (!manifest) return; // Tracks wait until the manifest arrives
+
+    const tracks = new Map();
+    this.remoteTracksByMid.get(peerId)?.forEach((track, mid) => {
+      const role = manifest[mid];
+      if (role) {
+        tracks.set(role, track);
       }
-    } else if (pc) {
-      console.log('Ignoring answer - wrong state:', pc.signalingState);
-    }
+    });
+
+    this.remoteTracks.set(peerId, tracks);
+    this.rebuildPeerStreams(peerId);
   }
 
-  async handleIceCandidate(peerId, candidate) {
-    const pc = this.peerConnections.get(peerId);
-    if (!pc) return;
-    
-    // If remote description isn't set yet, queue the candidate
-    if (!pc.remoteDescription) {
-      if (!this.pendingIceCandidates.has(peerId)) {
-        this.pendingIceCandidates.set(peerId, []);
-      }
-      this.pendingIceCandidates.get(peerId).push(candidate);
+  // Rebuild camera and screen streams from classified tracks
+  // Camera stream = camera + mic, screen stream = screen + screen-audio
+  rebuildPeerStreams(peerId) {
+    const tracks = this.remoteTracks.get(peerId) || new Map();
+
+    this.updatePeerStream(peerId, this.remoteStreams, 'stream_added',
+      [tracks.get('camera'), tracks.get('mic')].filter(Boolean));
+    this.updatePeerStream(peerId, this.remoteScreenStreams, 'screen_stream_added',
+      [tracks.get('screen'), tracks.get('screen-audio')].filter(Boolean));
+  }
+
+  updatePeerStream(peerId, streams, eventType, tracks) {
+    if (tracks.length === 0) {
+      streams.delete(peerId);
       return;
     }
-    
-    try {
-      await pc.addIceCandidate(candidate);
-    } catch (error) {
-      console.error('Error adding ICE candidate:', error);
-    }
-  }
 
-  setupDataChannel(peerId, channel) {
-    this.dataChannels.set(peerId, channel);
+    // Only update if stream changed
+    const existingStream = streams.get(peerId);
+    const streamsMatch = existingStream &&
+      existingStream.getTracks().length === tracks.length &&
+      existingStream.getTracks().every(t => tracks.includes(t));
+    if (streamsMatch) return;
 
-    channel.onopen = () => {
-      console.log('Data channel opened with', peerId);
-      
-      // If we're currently screen sharing, send metadata immediately
-      if (this.screenStream) {
-        const screenTrackIds = this.screenStream.getTracks().map(t => t.id);
-        channel.send(JSON.stringify({
-          type: 'screen_track_metadata',
-          trackIds: screenTrackIds
-        }));
-        console.log('Sent screen track metadata on channel open to', peerId, screenTrackIds);
-      }
-    };
+    const stream = new MediaStream(tracks);
+    streams.set(peerId, stream);
+    console.log(`[${peerId}] Built ${eventType === 'stream_added' ? 'CAMERA' : 'SCREEN'} stream with tracks:`,
+      tracks.map(t => t.kind));
 
-    channel.onclose = () => {
-      console.log('Data channel closed with', peerId);
-      this.dataChannels.delete(peerId);
-    };
+    this.messageHandlers.forEach(handler => handler({
+      type: eventType,
+      peerId: peerId,
+      stream: stream
+    }));
+  }
 
-    channel.onerror = (error) => {
-      console.error('Data channel error with', peerId, error);
-    };
+  // Watch a peer connection and recover it when it drops
+  monitorConnection(peerId, pc) {
+    const handleStateChange = () => {
+      // Ignore events from connections we already replaced
+      if (this.peerConnections.get(peerId) !== pc) return;
 
-    channel.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        
-        // Handle player state updates via P2P
-        if (message.type === 'player_state') {
-          this.peers.set(peerId, message.data);
-          
-          // Notify handlers
-          this.messageHandlers.forEach(handler => handler({
-            type: 'player_update',
-            peerId: peerId,
-            data: message.data
-          }));
-        } else if (message.type === 'screen_track_metadata') {
-          // Store screen track IDs for this peer
-          if (!this.remoteScreenTrackIds) {
-            this.remoteScreenTrackIds = new Map();
-          }
-          const existingIds = this.remoteScreenTrackIds.get(peerId);
-          this.remoteScreenTrackIds.set(peerId, new Set(message.trackIds));
-          console.log(`[${peerId}] Received screen track metadata:`, message.trackIds, 
-                     existingIds ? '(updating existing)' : '(new)');
-          
-          // Reclassify any existing tracks that match these IDs
-          this.reclassifyTracksAsScreen(peerId, message.trackIds);
+      const state = pc.connectionState || pc.iceConnectionState;
+      const recovery = this.connectionRecovery.get(peerId);
+
+      if (this.isConnectionHealthy(pc)) {
+        if (recovery) {
+          this.clearRecovery(peerId);
+          this.emitConnectionEvent(peerId, 'recovered');
         }
-      } catch (error) {
-        console.error('Error parsing data channel message:', error);
+      } else if (state === 'disconnected' && !recovery) {
+        this.emitConnectionEvent(peerId, 'disconnected');
+        this.scheduleIceRestart(peerId, DISCONNECT_GRACE_PERIOD);
+      } else if (state === 'failed' && !recovery?.restarting) {
+        this.emitConnectionEvent(peerId, 'failed');
+        this.scheduleIceRestart(peerId, 0);
       }
     };
+
+    pc.onconnectionstatechange = handleStateChange;
+    pc.oniceconnectionstatechange = handleStateChange;
   }
 
-  // Reclassify tracks when we receive metadata about which are screen tracks
-  reclassifyTracksAsScreen(peerId, screenTrackIds) {
-    const cameraTracks = this.remoteCameraTracks.get(peerId) || [];
-    
-    // Move any camera tracks that are actually screen tracks
-    const tracksToMove = cameraTracks.filter(track => screenTrackIds.includes(track.id));
-    
-    if (tracksToMove.length > 0) {
-      console.log(`[${peerId}] Reclassifying ${tracksToMove.length} tracks as SCREEN tracks`);
-      
-      // Remove from camera tracks
-      const remainingCameraTracks = cameraTracks.filter(track => !screenTrackIds.includes(track.id));
-      if (remainingCameraTracks.length > 0) {
-        this.remoteCameraTracks.set(peerId, remainingCameraTracks);
-      } else {
-        this.remoteCameraTracks.delete(peerId);
-      }
-      
-      // Add to screen tracks
-      if (!this.remoteScreenTracks.has(peerId)) {
-        this.remoteScreenTracks.set(peerId, []);
-      }
-      this.remoteScreenTracks.get(peerId).push(...tracksToMove);
-      
-      // Rebuild streams with correct classification
-      this.rebuildPeerStreams(peerId);
+  isConnectionHealthy(pc) {
+    return pc.connectionState === 'connected' || pc.iceConnectionState === 'connected' ||
+      pc.iceConnectionState === 'completed';
+  }
+
+  // Restart ICE after `delay` ms, or after the backoff for the next attempt
+  scheduleIceRestart(peerId, delay = null) {
+    let recovery = this.connectionRecovery.get(peerId);
+    if (!recovery) {
+      recovery = { attempts: 0, timer: null, restarting: false };
+      this.connectionRecovery.set(peerId, recovery);
+    }
+
+    if (recovery.timer) {
+      clearTimeout(recovery.timer);
     }
+
+    const backoff = Math.min(ICE_RESTART_BASE_DELAY * Math.pow(2, recovery.attempts), ICE_RESTART_MAX_DELAY);
+    recovery.timer = setTimeout(() => this.restartIce(peerId), delay ?? backoff);
   }
 
-  // Rebuild camera and screen streams from stored tracks
-  rebuildPeerStreams(peerId) {
-    // Build camera stream (video + audio)
-    const cameraTracks = this.remoteCameraTracks.get(peerId) || [];
-    const audioTracks = this.remoteAudioTracks.get(peerId) || [];
-    
-    if (cameraTracks.length > 0 || audioTracks.length > 0) {
-      const allCameraTracks = [...cameraTracks, ...audioTracks];
-      const cameraStream = new MediaStream(allCameraTracks);
-      
-      // Only update if stream changed
-      const existingStream = this.remoteStreams.get(peerId);
-      const streamsMatch = existingStream && 
-        existingStream.getTracks().length === allCameraTracks.length &&
-        existingStream.getTracks().every(t => allCameraTracks.find(ct => ct.id === t.id));
-      
-      if (!streamsMatch) {
-        this.remoteStreams.set(peerId, cameraStream);
-        console.log(`[${peerId}] Built CAMERA stream with ${cameraTracks.length} video + ${audioTracks.length} audio tracks`);
-        
-        this.messageHandlers.forEach(handler => handler({
-          type: 'stream_added',
-          peerId: peerId,
-          stream: cameraStream
-        }));
-      }
+  restartIce(peerId) {
+    const pc = this.peerConnections.get(peerId);
+    const recovery = this.connectionRecovery.get(peerId);
+    if (!pc || !recovery) return;
+
+    // It may have come back on its own while we waited
+    if (this.isConnectionHealthy(pc)) {
+      this.clearRecovery(peerId);
+      this.emitConnectionEvent(peerId, 'recovered');
+      return;
     }
-    
-    // Build screen stream (video only, no audio)
-    const screenTracks = this.remoteScreenTracks.get(peerId) || [];
-    
-    if (screenTracks.length > 0) {
-      const screenStream = new MediaStream(screenTracks);
-      
-      // Only update if stream changed
-      const existingScreenStream = this.remoteScreenStreams.get(peerId);
-      const screensMatch = existingScreenStream && 
-        existingScreenStream.getTracks().length === screenTracks.length &&
-        existingScreenStream.getTracks().every(t => screenTracks.find(st => st.id === t.id));
-      
-      if (!screensMatch) {
-        this.remoteScreenStreams.set(peerId, screenStream);
-        console.log(`[${peerId}] Built SCREEN stream with ${screenTracks.length} video tracks`);
-        
-        this.messageHandlers.forEach(handler => handler({
-          type: 'screen_stream_added',
-          peerId: peerId,
-          stream: screenStream
-        }));
+
+    if (recovery.attempts >= MAX_ICE_RESTARTS) {
+      this.rebuildPeerConnection(peerId);
+      return;
+    }
+
+    recovery.attempts++;
+    recovery.restarting = true;
+    this.emitConnectionEvent(peerId, 'restarting', { attempt: recovery.attempts, maxAttempts: MAX_ICE_RESTARTS });
+
+    // Triggers negotiationneeded with an ICE restart offer. If both sides restart
+    // at once, perfect negotiation sorts out the collision.
+    pc.restartIce();
+
+    // Try again (with backoff) if this attempt doesn't reconnect in time
+    recovery.timer = setTimeout(() => {
+      if (this.peerConnections.get(peerId) === pc && !this.isConnectionHealthy(pc)) {
+        this.scheduleIceRestart(peerId);
       }
+    }, ICE_RESTART_TIMEOUT);
+  }
+
+  // Tear down a connection that ICE restarts couldn't save and start over
+  rebuildPeerConnection(peerId) {
+    this.emitConnectionEvent(peerId, 'rebuilding');
+    this.closePeerConnection(peerId);
+
+    // The initiating side reconnects; its offer replaces the other side's connection
+    const peerData = this.peers.get(peerId);
+    if (this.localPlayer.id > peerId && peerData && this.localStream &&
+        this.getWantedMediaPeers(peerId).mesh.has(peerId)) {
+      this.createPeerConnection(peerId, { rebuild: true });
+    }
+  }
+
+  clearRecovery(peerId) {
+    const recovery = this.connectionRecovery.get(peerId);
+    if (recovery?.timer) {
+      clearTimeout(recovery.timer);
     }
+    this.connectionRecovery.delete(peerId);
+  }
+
+  // Report a recovery step: 'disconnected', 'failed', 'restarting', 'recovered' or 'rebuilding'
+  emitConnectionEvent(peerId, status, details = {}) {
+    console.log(`[${peerId}] Connection ${status}`, details);
+    this.messageHandlers.forEach(handler => handler({
+      type: 'connection_event',
+      peerId,
+      status,
+      ...details
+    }));
   }
 
   closePeerConnection(peerId) {
+    this.clearRecovery(peerId);
+    this.negotiation.delete(peerId);
+    this.pendingIceCandidates.delete(peerId);
+
     const pc = this.peerConnections.get(peerId);
     if (pc) {
       pc.close();
@@ -700,14 +1005,18 @@ export class P2PNetwork {
       this.dataChannels.delete(peerId);
     }
     
+    this.peerClocks.delete(peerId);
+    this.peerCodecVersions.delete(peerId);
+    this.peerTiers.delete(peerId);
+    this.connectionStartTimes.delete(peerId);
+
     // Clean up all track storage
     this.remoteStreams.delete(peerId);
     this.remoteScreenStreams.delete(peerId);
-    this.remoteCameraTracks.delete(peerId);
-    this.remoteScreenTracks.delete(peerId);
-    this.remoteAudioTracks.delete(peerId);
-    this.remoteTrackIds.delete(peerId);
-    this.remoteScreenTrackIds?.delete(peerId);
+    this.remoteTracksByMid.delete(peerId);
+    this.remoteManifests.delete(peerId);
+    this.remoteTracks.delete(peerId);
+    this.localTransceivers.delete(peerId);
     
     // Notify handlers that stream was removed
     this.messageHandlers.forEach(handler => handler({
@@ -716,34 +1025,173 @@ export class P2PNetwork {
     }));
   }
 
-  // Check distance and disconnect video if too far
+  // Open and close media connections as peers come and go, within the connection limit
   checkProximityAndManageConnections() {
     if (!this.localPlayer) return;
-    
-    const MAX_VIDEO_DISTANCE = 400; // Grid squares * 10 = units
-    
+
+    this.updateSfuMode();
+    const wanted = this.getWantedMediaPeers();
+
     this.peers.forEach((peerData, peerId) => {
-      const dx = peerData.position.x - this.localPlayer.position.x;
-      const dz = peerData.position.z - this.localPlayer.position.z;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      
+      const distance = this.getDistanceToPeer(peerData);
       const hasConnection = this.peerConnections.has(peerId);
-      
-      // Disconnect if too far
-      if (distance > MAX_VIDEO_DISTANCE && hasConnection) {
-        console.log('Disconnecting video from', peerId, '- too far:', distance);
+
+      // Both of us use the SFU - media goes through it instead of a direct connection
+      if (this.usesSfu(peerData)) {
+        if (hasConnection) {
+          console.log('Moving video from', peerId, 'to the SFU');
+          this.closePeerConnection(peerId);
+        }
+        if (wanted.inRange.has(peerId)) {
+          this.sfu.subscribe(peerId);
+        } else if (this.sfu.isSubscribed(peerId)) {
+          this.removeSfuPeer(peerId);
+        }
+        return;
+      }
+      if (this.sfu?.isSubscribed(peerId)) {
+        this.removeSfuPeer(peerId);
+      }
+
+      if (hasConnection && !wanted.mesh.has(peerId)) {
+        // Give new connections a chance before closing them again
+        if (Date.now() - this.connectionStartTimes.get(peerId) < MIN_CONNECTION_LIFETIME) return;
+
+        const reason = wanted.inRange.has(peerId) ? 'nearer peers take priority' : 'out of range';
+        console.log('Disconnecting video from', peerId, '-', reason, `(${Math.round(distance)} units)`);
         this.closePeerConnection(peerId);
+        this.reportChurn(peerId, 'disconnected', reason);
+      } else if (!hasConnection && wanted.mesh.has(peerId) && this.localStream &&
+                 this.localPlayer.id > peerId && Date.now() >= (this.declinedUntil.get(peerId) || 0) &&
+                 this.peerConnections.size < this.maxMediaConnections) {
+        // Same tie-breaker as on join; the size check covers connections to
+        // farther peers that are still within their minimum lifetime
+        console.log('Connecting video to', peerId, '- within range:', Math.round(distance));
+        this.createPeerConnection(peerId);
+        this.reportChurn(peerId, 'connected', 'in range');
       }
-      // Reconnect if close enough and both have media
-      else if (distance <= MAX_VIDEO_DISTANCE && !hasConnection && 
-               this.localStream && peerData.hasMedia) {
-        // Use same tie-breaker logic
-        if (this.localPlayer.id > peerId) {
-          console.log('Reconnecting video to', peerId, '- within range:', distance);
-          this.createPeerConnection(peerId);
-        }
+    });
+  }
+
+  // The peer is at its connection limit - drop our offer and try again later
+  handleDecline(peerId) {
+    if (!this.peerConnections.has(peerId)) return;
+
+    console.log('Connection declined by', peerId);
+    this.closePeerConnection(peerId);
+    this.declinedUntil.set(peerId, Date.now() + DECLINE_BACKOFF);
+    this.reportChurn(peerId, 'declined', 'they are at their connection limit');
+  }
+
+  // Report a proximity-driven connect/disconnect, with how many there were recently
+  reportChurn(peerId, action, reason) {
+    const now = Date.now();
+    this.churnTimes.push(now);
+    while (this.churnTimes[0] < now - CHURN_WINDOW) {
+      this.churnTimes.shift();
+    }
+
+    this.messageHandlers.forEach(handler => handler({
+      type: 'connection_churn',
+      peerId,
+      action,
+      reason,
+      recentChanges: this.churnTimes.length,
+      connections: this.peerConnections.size
+    }));
+  }
+
+  // True if media with this peer goes through the SFU
+  usesSfu(peerData) {
+    return !!(this.sfu?.connected && peerData.sfu);
+  }
+
+  // Switch between full mesh and the SFU depending on how crowded it is around us
+  updateSfuMode() {
+    if (!this.sfuUrl || this.sfuStarting) return;
+
+    let mediaPeers = 0;
+    this.peers.forEach((peerData) => {
+      if (peerData.hasMedia && this.isWithinVideoRange(peerData)) {
+        mediaPeers++;
       }
     });
+
+    if (!this.sfu && mediaPeers > SFU_ENTER_PEERS && Date.now() >= this.sfuRetryAt) {
+      this.enterSfuMode(mediaPeers);
+    } else if (this.sfu && mediaPeers < SFU_EXIT_PEERS) {
+      this.leaveSfuMode(`only ${mediaPeers} peers nearby`);
+    }
+  }
+
+  async enterSfuMode(mediaPeers) {
+    console.log(`${mediaPeers} media peers nearby - switching to the SFU at`, this.sfuUrl);
+    this.sfuStarting = true;
+
+    const sfu = new SfuClient(this.sfuUrl, this.localPlayer.id, this.room, getRtcConfiguration(this.relayIceServers));
+    this.requestedTiers.forEach((tier, peerId) => sfu.setLayer(peerId, VIDEO_TIERS[tier].layer));
+    sfu.onTracks((publisherId, tracks) => {
+      if (this.peerConnections.has(publisherId)) return; // Still on the mesh connection
+      this.remoteTracks.set(publisherId, tracks);
+      this.rebuildPeerStreams(publisherId);
+    });
+    sfu.onClose(() => {
+      this.sfuRetryAt = Date.now() + SFU_RETRY_DELAY;
+      this.leaveSfuMode('SFU connection lost');
+    });
+
+    try {
+      await sfu.connect();
+    } catch (error) {
+      console.error('Failed to reach the SFU, staying in full mesh:', error);
+      this.sfuRetryAt = Date.now() + SFU_RETRY_DELAY;
+      this.sfuStarting = false;
+      return;
+    }
+
+    sfu.publish(this.localStream, this.screenStream);
+    this.sfu = sfu;
+    this.sfuStarting = false;
+    this.localPlayer.sfu = true;
+    this.broadcastPlayerState();
+    this.emitSfuMode(true, mediaPeers);
+  }
+
+  leaveSfuMode(reason) {
+    if (!this.sfu) return;
+    console.log('Leaving the SFU -', reason);
+
+    const sfu = this.sfu;
+    Array.from(sfu.subscriptions).forEach(peerId => this.removeSfuPeer(peerId));
+    this.sfu = null;
+    sfu.close();
+
+    // The proximity check reconnects everyone nearby over full mesh
+    this.localPlayer.sfu = false;
+    this.broadcastPlayerState();
+    this.emitSfuMode(false);
+  }
+
+  // Stop receiving a peer through the SFU and drop its streams
+  removeSfuPeer(peerId) {
+    this.sfu?.unsubscribe(peerId);
+    if (this.peerConnections.has(peerId)) return;
+
+    this.remoteStreams.delete(peerId);
+    this.remoteScreenStreams.delete(peerId);
+    this.remoteTracks.delete(peerId);
+    this.messageHandlers.forEach(handler => handler({
+      type: 'stream_removed',
+      peerId: peerId
+    }));
+  }
+
+  emitSfuMode(active, mediaPeers = null) {
+    this.messageHandlers.forEach(handler => handler({
+      type: 'sfu_mode',
+      active,
+      mediaPeers
+    }));
   }
 
   getLocalStream() {
@@ -758,9 +1206,10 @@ export class P2PNetwork {
     return this.remoteScreenStreams.get(peerId);
   }
 
+  // Send through the transport - to one peer if targetPeer is set, else the whole room
   send(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+    if (this.stateSync) {
+      this.stateSync.send(message);
     }
   }
 
@@ -792,92 +1241,74 @@ export class P2PNetwork {
   }
 
 
+  // State broadcasting itself runs in StateSync; this manages media connections
   startBroadcasting() {
-    // Check for changes and broadcast only when player state changes
-    setInterval(() => {
-      this.broadcastPlayerStateIfChanged();
-    }, 100); // Check 10 times per second
-    
     // Check proximity and manage connections every second
-    setInterval(() => {
+    this.proximityInterval = setInterval(() => {
       this.checkProximityAndManageConnections();
     }, 1000);
+
+    // Measure round-trip time to every peer we have a data channel with
+    this.peerPingInterval = setInterval(() => {
+      this.dataChannels.forEach((channel, peerId) => this.sendPeerPing(peerId, channel));
+    }, PEER_PING_INTERVAL);
   }
 
-  // Check if player state has changed significantly
-  hasPlayerStateChanged() {
-    if (!this.lastBroadcastState) return true;
-    
-    const current = this.localPlayer;
-    const last = this.lastBroadcastState;
-    
-    // Define threshold for position changes (small movements don't trigger update)
-    const POSITION_THRESHOLD = 0.01;
-    const ROTATION_THRESHOLD = 0.01;
-    const VELOCITY_THRESHOLD = 0.001;
-    
-    // Check position changes
-    if (Math.abs(current.position.x - last.position.x) > POSITION_THRESHOLD ||
-        Math.abs(current.position.y - last.position.y) > POSITION_THRESHOLD ||
-        Math.abs(current.position.z - last.position.z) > POSITION_THRESHOLD) {
-      return true;
+  sendPeerPing(peerId, channel) {
+    if (channel.readyState !== 'open') return;
+    try {
+      channel.send(JSON.stringify({ type: 'clock_ping', t0: Date.now() }));
+    } catch (error) {
+      console.error('Error sending clock ping to', peerId, error);
     }
-    
-    // Check velocity changes
-    if (Math.abs(current.velocity.x - last.velocity.x) > VELOCITY_THRESHOLD ||
-        Math.abs(current.velocity.y - last.velocity.y) > VELOCITY_THRESHOLD ||
-        Math.abs(current.velocity.z - last.velocity.z) > VELOCITY_THRESHOLD) {
+  }
+
+  // Answer pings and record pongs right here rather than in StateSync, so
+  // the worker round trip doesn't inflate the measured RTT.
+  // Returns true if the message was a clock message.
+  handleClockMessage(peerId, channel, data) {
+    if (typeof data !== 'string' || !data.includes('"clock_p')) return false;
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return false;
+    }
+
+    if (message.type === 'clock_ping') {
+      const now = this.now();
+      channel.send(JSON.stringify({ type: 'clock_pong', t0: message.t0, t1: now, t2: now }));
       return true;
     }
-    
-    // Check rotation changes
-    if (Math.abs(current.rotation - last.rotation) > ROTATION_THRESHOLD) {
+    if (message.type === 'clock_pong') {
+      if (!this.peerClocks.has(peerId)) {
+        this.peerClocks.set(peerId, new ClockSync());
+      }
+      // The offset is the peer's shared clock relative to our local clock -
+      // compare with this.clock.offset to see how well the two agree
+      this.peerClocks.get(peerId).addSample(message.t0, message.t1, message.t2);
       return true;
     }
-    
     return false;
   }
 
-  broadcastPlayerStateIfChanged() {
-    if (!this.localPlayer) return;
-    
-    // Only broadcast if state has changed
-    if (this.hasPlayerStateChanged()) {
-      const message = {
-        type: 'player_state',
-        data: this.localPlayer
-      };
-      
-      // Send via P2P data channels to connected peers
-      const sentViaPeer = this.sendToAllPeers(message);
-      
-      // Also send via WebSocket for peer discovery and as fallback
-      // This ensures new players can discover us even if no P2P connection yet
-      this.send({
-        type: 'player_state',
-        peerId: this.localPlayer.id,
-        data: this.localPlayer
-      });
-      
-      // Save current state as last broadcast state
-      this.lastBroadcastState = {
-        position: { ...this.localPlayer.position },
-        velocity: { ...this.localPlayer.velocity },
-        rotation: this.localPlayer.rotation
-      };
-    }
-  }
-
-  // Send message to all connected peers via data channels
+  // Send a serialized message (JSON string or binary state) to all connected peers via data channels
   // Returns the number of peers reached
-  sendToAllPeers(message) {
-    const messageStr = JSON.stringify(message);
+  sendToAllPeers(payload) {
     let sentCount = 0;
+    // Peers still on codec version 1 can't read newer states (see @cubechat/codec)
+    let version1Payload = null;
     
     this.dataChannels.forEach((channel, peerId) => {
       if (channel.readyState === 'open') {
         try {
-          channel.send(messageStr);
+          if (this.peerCodecVersions.get(peerId) === 1 && isBinaryMessage(payload)) {
+            version1Payload ??= toCodecVersion1(payload);
+            channel.send(version1Payload);
+          } else {
+            channel.send(payload);
+          }
           sentCount++;
         } catch (error) {
           console.error('Error sending to peer', peerId, error);
@@ -888,41 +1319,29 @@ export class P2PNetwork {
     return sentCount;
   }
 
-  // Keep the old method for manual broadcasting if needed
+  // Push the full local state to StateSync and broadcast it right away
   broadcastPlayerState() {
-    if (!this.localPlayer) return;
+    if (!this.localPlayer || !this.stateSync) return;
 
-    const message = {
-      type: 'player_state',
-      data: this.localPlayer
-    };
-    
-    // Send via P2P data channels to all connected peers
-    this.sendToAllPeers(message);
-    
-    // Also send via WebSocket as fallback
-    this.send({
-      type: 'player_state',
-      peerId: this.localPlayer.id,
-      data: this.localPlayer
-    });
-    
-    // Update last broadcast state
-    this.lastBroadcastState = {
-      position: { ...this.localPlayer.position },
-      velocity: { ...this.localPlayer.velocity },
-      rotation: this.localPlayer.rotation
-    };
+    this.stateSync.updateLocalPlayer(this.localPlayer);
+    this.stateSync.broadcastPlayerState();
   }
 
   updateLocalPlayer(updates) {
     this.localPlayer = { ...this.localPlayer, ...updates };
+    if (this.stateSync) {
+      this.stateSync.updateLocalPlayer(updates);
+    }
   }
 
   onMessage(handler) {
     this.messageHandlers.push(handler);
   }
 
+  getRoom() {
+    return this.room;
+  }
+
   getPeers() {
     return Array.from(this.peers.entries()).map(([id, data]) => ({
       id,
@@ -930,188 +1349,64 @@ export class P2PNetwork {
     }));
   }
 
-  async attemptReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('Max reconnection attempts reached. Please refresh the page.');
-      return;
-    }
-    
-    this.isReconnecting = true;
-    this.reconnectAttempts++;
-    
-    // Exponential backoff: 1s, 2s, 4s, 8s, etc. (max 30s)
-    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
-    
-    console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${delay}ms...`);
-    
-    setTimeout(async () => {
-      try {
-        await this.reconnect();
-        console.log('Reconnected successfully!');
-        this.reconnectAttempts = 0; // Reset on success
-        this.isReconnecting = false;
-      } catch (error) {
-        console.error('Reconnection failed:', error);
-        this.isReconnecting = false;
-        // Will trigger another attempt via onclose handler
-      }
-    }, delay);
-  }
-
-  async reconnect() {
-    return new Promise((resolve, reject) => {
-      try {
-        this.ws = new WebSocket(WS_SERVER);
-
-        this.ws.onopen = () => {
-          console.log('Reconnected to P2P relay server');
-          
-          // Re-announce presence with current state
-          this.send({
-            type: 'join',
-            peerId: this.localPlayer.id,
-            data: this.localPlayer
-          });
-
-          // Broadcast current state immediately
-          this.broadcastPlayerState();
-
-          resolve();
-        };
-
-        this.ws.onmessage = (event) => {
-          this.handleMessage(JSON.parse(event.data));
-        };
-
-        this.ws.onerror = (error) => {
-          console.error('WebSocket reconnection error:', error);
-          reject(error);
-        };
-
-        this.ws.onclose = () => {
-          console.log('Disconnected from P2P server');
-          
-          // Attempt to reconnect if not intentionally stopped
-          if (this.shouldReconnect && !this.isReconnecting) {
-            this.attemptReconnect();
-          }
-        };
-
-        // Timeout after 5 seconds
-        setTimeout(() => {
-          if (this.ws.readyState !== WebSocket.OPEN) {
-            reject(new Error('Reconnection timeout'));
-          }
-        }, 5000);
-      } catch (error) {
-        console.error('Failed to reconnect:', error);
-        reject(error);
-      }
-    });
-  }
-
   // Start screen sharing - add screen tracks to peer connections
   async startScreenSharing(screenStream, billboardData) {
     this.screenStream = screenStream; // Store for future connections
     this.localPlayer.screenSharing = true;
     this.localPlayer.billboardData = billboardData;
-    
-    // Store screen track IDs for identification
-    const screenTrackIds = screenStream.getTracks().map(t => t.id);
-    console.log('Starting screen share with original track IDs:', screenTrackIds);
-    
-    // Add screen tracks to all existing peer connections and renegotiate
-    const screenTracks = screenStream.getTracks();
-    
-    for (const [peerId, pc] of this.peerConnections) {
-      // Add screen track as sender
-      const addedSenders = [];
-      for (const track of screenTracks) {
-        const sender = pc.addTrack(track, screenStream);
-        addedSenders.push(sender);
-        console.log('Added screen track to peer', peerId, '- original trackId:', track.id);
-      }
-      
-      // CRITICAL: Renegotiate the connection to send the new track
-      try {
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-        this.send({
-          type: 'webrtc-offer',
-          peerId: this.localPlayer.id,
-          targetPeer: peerId,
-          offer: offer
-        });
-        console.log('Sent renegotiation offer to', peerId, 'for screen track');
-        
-        // IMPORTANT: After renegotiation, get the ACTUAL track IDs that will be sent
-        // (they might be different from the original track IDs due to transcoding/processing)
-        const actualScreenTrackIds = addedSenders
-          .filter(sender => sender.track && sender.track.kind === 'video')
-          .map(sender => sender.track.id);
-        
-        console.log('Actual screen track IDs for', peerId, ':', actualScreenTrackIds);
-        
-        // Send screen track metadata via data channel with ACTUAL track IDs
-        const channel = this.dataChannels.get(peerId);
-        if (channel && channel.readyState === 'open') {
-          channel.send(JSON.stringify({
-            type: 'screen_track_metadata',
-            trackIds: actualScreenTrackIds
-          }));
-          console.log('Sent screen track metadata to', peerId, actualScreenTrackIds);
-        } else {
-          console.warn('Data channel not ready for', peerId, '- metadata will be sent on channel open');
-        }
-      } catch (error) {
-        console.error('Error renegotiating connection for screen share:', error);
-      }
-    }
-    
+
+    // Each connection renegotiates and then sends an updated track manifest,
+    // so peers know the new mids carry the screen
+    this.peerConnections.forEach((pc, peerId) => {
+      this.addScreenTracks(peerId, pc);
+    });
+    this.sfu?.publish(this.localStream, screenStream);
+
     // Broadcast updated state
     this.broadcastPlayerState();
   }
 
-  // Stop screen sharing - remove screen tracks from peer connections
+  // Stop screen sharing - stop sending on the screen transceivers
   stopScreenSharing() {
     this.screenStream = null; // Clear stored stream
     this.localPlayer.screenSharing = false;
     this.localPlayer.billboardData = null;
-    
-    // Remove screen tracks from all peer connections
+
+    // Going inactive renegotiates; the manifest after it no longer lists the screen
     this.peerConnections.forEach((pc, peerId) => {
-      const senders = pc.getSenders();
-      senders.forEach(sender => {
-        // Remove tracks that are not from the local webcam stream
-        if (sender.track && this.localStream) {
-          const isWebcamTrack = this.localStream.getTracks().some(t => t.id === sender.track.id);
-          if (!isWebcamTrack) {
-            pc.removeTrack(sender);
-            console.log('Removed screen track from peer', peerId);
-          }
-        }
-      });
+      this.removeRoleTrack(peerId, 'screen');
+      this.removeRoleTrack(peerId, 'screen-audio');
+      console.log('Removed screen tracks from peer', peerId);
     });
-    
+    this.sfu?.publish(this.localStream, null);
+
     // Broadcast updated state
     this.broadcastPlayerState();
   }
 
   async stop() {
-    this.shouldReconnect = false; // Prevent reconnection attempts
-    
-    if (this.ws) {
-      this.send({
-        type: 'leave',
-        peerId: this.localPlayer.id
-      });
-      this.ws.close();
+    if (this.proximityInterval) {
+      clearInterval(this.proximityInterval);
+      this.proximityInterval = null;
+    }
+    if (this.peerPingInterval) {
+      clearInterval(this.peerPingInterval);
+      this.peerPingInterval = null;
+    }
+
+    // Leave the room and disconnect
+    if (this.stateSync) {
+      this.stateSync.stop();
     }
     
     // Close all peer connections
     this.peerConnections.forEach((pc, peerId) => {
       this.closePeerConnection(peerId);
     });
+    if (this.sfu) {
+      this.sfu.close();
+      this.sfu = null;
+    }
     
     // Stop local media stream
     if (this.localStream) {
@@ -0,0 +1,41 @@
+// Network worker: runs StateSync with the WebSocket relay off the render thread.
+// The main thread talks to it through WorkerStateSync (state-sync-proxy.js).
+import { StateSync } from './state-sync.js';
+import { WebSocketTransport } from './transports/websocket-transport.js';
+
+let stateSync = null;
+
+self.onmessage = async (event) => {
+  const { command, ...args } = event.data;
+
+  if (command === 'connect') {
+    // The relay URL comes from the main thread - workers can't see window.location
+    stateSync = new StateSync(new WebSocketTransport(args.url));
+    stateSync.onEvent((syncEvent) => {
+      self.postMessage(syncEvent);
+    });
+
+    try {
+      await stateSync.connect(args.localPlayer, args.room);
+      self.postMessage({ type: 'connected' });
+    } catch (error) {
+      self.postMessage({ type: 'connect_error', message: error?.message || 'Connection failed' });
+    }
+    return;
+  }
+
+  if (!stateSync) return;
+
+  if (command === 'update') {
+    stateSync.updateLocalPlayer(args.updates);
+  } else if (command === 'broadcast') {
+    stateSync.broadcastPlayerState();
+  } else if (command === 'send') {
+    stateSync.send(args.message);
+  } else if (command === 'channel_message') {
+    stateSync.handleChannelMessage(args.peerId, args.data);
+  } else if (command === 'stop') {
+    stateSync.stop();
+    stateSync = null;
+  }
+};
@@ -0,0 +1,77 @@
+// Quick reactions (wave, thumbs up, laugh, clap)
+// A reaction is a tiny event sent to the whole room like a room-wide chat
+// message - data channels first, the relay for everyone else - and shown as a
+// burst above the sender's cube. Handy for reacting to a screen share without
+// unmuting.
+
+// In key order: number key 1 sends the first one, and so on
+export const REACTIONS = [
+  { name: 'wave', emoji: '👋', label: 'Wave' },
+  { name: 'thumbs_up', emoji: '👍', label: 'Thumbs up' },
+  { name: 'laugh', emoji: '😂', label: 'Laugh' },
+  { name: 'clap', emoji: '👏', label: 'Clap' }
+];
+
+// Minimum time between two of our reactions (ms), so holding a key doesn't flood the room
+const REACTION_COOLDOWN = 300;
+// Ids remembered per sender for dropping duplicates. A duplicate arrives within
+// seconds, and the cooldown allows only a few reactions per second.
+const MAX_SEEN_PER_PEER = 50;
+
+export function getReaction(name) {
+  return REACTIONS.find(reaction => reaction.name === name) || null;
+}
+
+export class Reactions {
+  constructor(network) {
+    this.network = network;
+    this.seenIds = new Map(); // peerId -> ids of its last MAX_SEEN_PER_PEER reactions, oldest first
+    this.sequence = 0;
+    this.lastSent = 0;
+    this.reactionHandlers = [];
+
+    network.onMessage((event) => {
+      if (event.type === 'reaction') {
+        this.handleMessage(event.peerId, event.message);
+      }
+    });
+  }
+
+  // handler(peerId, reaction) - for every reaction, ours included
+  onReaction(handler) {
+    this.reactionHandlers.push(handler);
+  }
+
+  send(name) {
+    const reaction = getReaction(name);
+    const now = Date.now();
+    if (!reaction || now - this.lastSent < REACTION_COOLDOWN) return false;
+    this.lastSent = now;
+
+    const id = `${this.network.localPlayer.id}-${++this.sequence}`;
+    this.markSeen(this.network.localPlayer.id, id);
+    this.network.sendToRoom({ type: 'reaction', id, reaction: name });
+    this.reactionHandlers.forEach(handler => handler(this.network.localPlayer.id, reaction));
+    return true;
+  }
+
+  handleMessage(peerId, message) {
+    const reaction = getReaction(message.reaction);
+    if (!peerId || !reaction || typeof message.id !== 'string') return;
+    if (!message.id.startsWith(`${peerId}-`) || this.seenIds.get(peerId)?.includes(message.id)) return;
+    this.markSeen(peerId, message.id);
+
+    this.reactionHandlers.forEach(handler => handler(peerId, reaction));
+  }
+
+  markSeen(peerId, id) {
+    if (!this.seenIds.has(peerId)) {
+      this.seenIds.set(peerId, []);
+    }
+    const ids = this.seenIds.get(peerId);
+    ids.push(id);
+    if (ids.length > MAX_SEEN_PER_PEER) {
+      ids.shift();
+    }
+  }
+}
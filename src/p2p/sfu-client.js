@@ -0,0 +1,307 @@
+// Client side of the selective forwarding unit (server/sfu-server.js)
+// Our tracks go up once over a publish connection; the tracks of the peers we
+// subscribe to come down over a subscribe connection that the SFU offers.
+// The SFU tells us which publisher and role each downstream mid carries
+// (track_map), the same way peers do with track_manifest in full-mesh mode.
+//
+// Cameras are published as simulcast layers (video-quality.js) and we tell the SFU
+// which layer of each publisher we want with setLayer().
+//
+// SFU address, first match wins: ?sfu=<ws url>, localStorage 'sfuUrl', VITE_SFU_URL.
+// Without one the client always stays in full-mesh mode.
+
+import { SIMULCAST_ENCODINGS } from './video-quality.js';
+
+// The SFU forwards RTP without transcoding, so it only understands these
+const FORWARDED_CODECS = ['video/vp8', 'audio/opus'];
+
+export function getSfuUrl() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem('sfuUrl') : null;
+  return params.get('sfu') || stored || import.meta.env?.VITE_SFU_URL || null;
+}
+
+export class SfuClient {
+  constructor(url, peerId, room, rtcConfiguration) {
+    this.url = url;
+    this.peerId = peerId;
+    this.room = room;
+    this.rtcConfiguration = rtcConfiguration;
+    this.ws = null;
+    this.connected = false;
+    this.publishPc = null;
+    this.transceivers = new Map(); // role -> our publishing transceiver
+    this.subscribePc = null;
+    this.subscriptions = new Set(); // publisherIds
+    this.layers = new Map(); // publisherId -> wanted simulcast layer, null = paused
+    this.tracksByMid = new Map(); // downstream mid -> track
+    this.trackMap = {}; // downstream mid -> { publisherId, role }
+    this.publisherTracks = new Map(); // publisherId -> Map of role -> track, last reported
+    this.trackHandlers = [];
+    this.closeHandlers = [];
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.url);
+
+      this.ws.onopen = () => {
+        this.connected = true;
+        this.sendSignal({ type: 'join', peerId: this.peerId, room: this.room });
+        console.log('Connected to SFU:', this.url);
+        resolve();
+      };
+
+      this.ws.onerror = (error) => {
+        console.error('SFU connection error:', error);
+        if (!this.connected) {
+          reject(new Error(`Could not connect to SFU at ${this.url}`));
+        }
+      };
+
+      this.ws.onclose = () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        if (wasConnected) {
+          console.log('SFU connection closed');
+          this.closeHandlers.forEach(handler => handler());
+        }
+      };
+
+      this.ws.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.error('Invalid SFU message:', error);
+          return;
+        }
+        this.handleSignal(message).catch((error) => {
+          console.error(`Error handling SFU message ${message.type}:`, error);
+        });
+      };
+    });
+  }
+
+  // handler(publisherId, Map of role -> track) - called whenever a publisher's
+  // forwarded tracks change; an empty map means nothing is forwarded anymore
+  onTracks(handler) {
+    this.trackHandlers.push(handler);
+  }
+
+  // Called when an established SFU connection drops
+  onClose(handler) {
+    this.closeHandlers.push(handler);
+  }
+
+  sendSignal(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Publish our camera/mic and screen share (either may be null)
+  // Call again whenever one of them changes
+  publish(localStream, screenStream) {
+    if (!this.publishPc) {
+      this.publishPc = this.createPeerConnection('publish');
+      this.publishPc.onnegotiationneeded = () => this.sendPublishOffer();
+    }
+
+    this.setRoleTrack('camera', localStream?.getVideoTracks()[0], localStream);
+    this.setRoleTrack('mic', localStream?.getAudioTracks()[0], localStream);
+    this.setRoleTrack('screen', screenStream?.getVideoTracks()[0], screenStream);
+    this.setRoleTrack('screen-audio', screenStream?.getAudioTracks()[0], screenStream);
+  }
+
+  // Same transceiver-per-role scheme as the mesh connections (see P2PNetwork.addRoleTrack)
+  setRoleTrack(role, track, stream) {
+    const transceiver = this.transceivers.get(role);
+
+    if (!track) {
+      if (transceiver && transceiver.direction !== 'inactive') {
+        transceiver.sender.replaceTrack(null);
+        transceiver.direction = 'inactive';
+      }
+      return;
+    }
+
+    if (transceiver) {
+      if (transceiver.sender.track !== track) {
+        transceiver.sender.replaceTrack(track);
+      }
+      transceiver.direction = 'sendonly';
+      return;
+    }
+
+    const init = { direction: 'sendonly', streams: [stream] };
+    if (role === 'camera') {
+      init.sendEncodings = SIMULCAST_ENCODINGS;
+    }
+    const added = this.publishPc.addTransceiver(track, init);
+    this.preferForwardedCodecs(added, track.kind);
+    this.transceivers.set(role, added);
+  }
+
+  preferForwardedCodecs(transceiver, kind) {
+    const capabilities = typeof RTCRtpSender !== 'undefined' && RTCRtpSender.getCapabilities?.(kind);
+    if (!capabilities || !transceiver.setCodecPreferences) return;
+
+    const codecs = capabilities.codecs.filter(codec => FORWARDED_CODECS.includes(codec.mimeType.toLowerCase()));
+    if (codecs.length > 0) {
+      transceiver.setCodecPreferences(codecs);
+    }
+  }
+
+  async sendPublishOffer() {
+    try {
+      await this.publishPc.setLocalDescription();
+
+      // Mids are assigned now - tell the SFU which one is which
+      const tracks = {};
+      this.transceivers.forEach((transceiver, role) => {
+        if (transceiver.mid !== null && transceiver.direction === 'sendonly') {
+          tracks[transceiver.mid] = role;
+        }
+      });
+
+      this.sendSignal({ type: 'publish', sdp: this.publishPc.localDescription.sdp, tracks });
+      console.log('Published to SFU:', tracks);
+    } catch (error) {
+      console.error('Error publishing to SFU:', error);
+    }
+  }
+
+  subscribe(publisherId) {
+    if (this.subscriptions.has(publisherId)) return;
+    this.subscriptions.add(publisherId);
+    this.sendSignal({ type: 'subscribe', publisherId, layer: this.layers.get(publisherId) });
+    console.log('Subscribed to', publisherId, 'via SFU');
+  }
+
+  unsubscribe(publisherId) {
+    if (!this.subscriptions.delete(publisherId)) return;
+    this.sendSignal({ type: 'unsubscribe', publisherId });
+    console.log('Unsubscribed from', publisherId, 'via SFU');
+  }
+
+  // Simulcast layer of a publisher's camera: 'q', 'h', 'f', or null to pause it
+  setLayer(publisherId, layer) {
+    if (this.layers.has(publisherId) && this.layers.get(publisherId) === layer) return;
+    this.layers.set(publisherId, layer);
+    if (this.subscriptions.has(publisherId)) {
+      this.sendSignal({ type: 'layer', publisherId, layer });
+    }
+  }
+
+  isSubscribed(publisherId) {
+    return this.subscriptions.has(publisherId);
+  }
+
+  async handleSignal(message) {
+    if (message.type === 'join_rejected') {
+      // The SFU closes the socket next, which ends SFU mode until the retry delay passes
+      console.warn('SFU rejected our join:', message.reason);
+    } else if (message.type === 'publish_answer') {
+      // Only the answer to our current offer fits - one for an offer that was replaced
+      // (negotiation needed again, e.g. a screen share right after publishing) is dropped
+      if (this.publishPc?.signalingState !== 'have-local-offer') {
+        console.log('Ignoring stale SFU publish answer');
+        return;
+      }
+      await this.publishPc.setRemoteDescription({ type: 'answer', sdp: message.sdp });
+    } else if (message.type === 'offer') {
+      await this.handleSubscribeOffer(message);
+    } else if (message.type === 'track_map') {
+      this.setTrackMap(message.tracks);
+    } else if (message.type === 'candidate') {
+      const pc = message.target === 'subscribe' ? this.subscribePc : this.publishPc;
+      if (pc && message.candidate) {
+        await pc.addIceCandidate({ candidate: message.candidate, sdpMid: message.mid }).catch((error) => {
+          console.warn('Could not add SFU candidate:', error);
+        });
+      }
+    }
+  }
+
+  async handleSubscribeOffer(message) {
+    if (!this.subscribePc) {
+      this.subscribePc = this.createPeerConnection('subscribe');
+      this.subscribePc.ontrack = (event) => {
+        this.tracksByMid.set(event.transceiver.mid, event.track);
+        this.reportTracks();
+      };
+    }
+
+    this.setTrackMap(message.tracks);
+    await this.subscribePc.setRemoteDescription({ type: 'offer', sdp: message.sdp });
+    await this.subscribePc.setLocalDescription();
+    this.sendSignal({ type: 'answer', sdp: this.subscribePc.localDescription.sdp });
+  }
+
+  createPeerConnection(target) {
+    const pc = new RTCPeerConnection(this.rtcConfiguration);
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.sendSignal({
+          type: 'candidate',
+          target,
+          candidate: event.candidate.candidate,
+          mid: event.candidate.sdpMid
+        });
+      }
+    };
+    pc.onconnectionstatechange = () => {
+      console.log(`SFU ${target} connection ${pc.connectionState}`);
+    };
+    return pc;
+  }
+
+  setTrackMap(tracks) {
+    this.trackMap = tracks || {};
+    this.reportTracks();
+  }
+
+  // Group downstream tracks by publisher and report the publishers whose tracks changed
+  reportTracks() {
+    const byPublisher = new Map();
+    Object.entries(this.trackMap).forEach(([mid, { publisherId, role }]) => {
+      const track = this.tracksByMid.get(mid);
+      if (!track) return; // Arrives with the next negotiation
+      if (!byPublisher.has(publisherId)) {
+        byPublisher.set(publisherId, new Map());
+      }
+      byPublisher.get(publisherId).set(role, track);
+    });
+
+    const publisherIds = new Set([...this.publisherTracks.keys(), ...byPublisher.keys()]);
+    publisherIds.forEach((publisherId) => {
+      const previous = this.publisherTracks.get(publisherId) || new Map();
+      const current = byPublisher.get(publisherId) || new Map();
+      const changed = previous.size !== current.size ||
+        [...current].some(([role, track]) => previous.get(role) !== track);
+      if (!changed) return;
+
+      if (current.size > 0) {
+        this.publisherTracks.set(publisherId, current);
+      } else {
+        this.publisherTracks.delete(publisherId);
+      }
+      this.trackHandlers.forEach(handler => handler(publisherId, current));
+    });
+  }
+
+  close() {
+    this.connected = false;
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+    }
+    this.publishPc?.close();
+    this.subscribePc?.close();
+    this.publishPc = null;
+    this.subscribePc = null;
+    this.subscriptions.clear();
+  }
+}
@@ -0,0 +1,183 @@
+// Per-peer buffer of timestamped state snapshots for smooth remote movement.
+// Remote players are rendered a small interpolation delay behind real time, so
+// there is usually a snapshot on either side of the render time to blend between.
+// When updates are late we extrapolate with the last sent velocity for a while,
+// and when the rendered position drifts too far from the truth we snap to it.
+
+// How far behind real time remote players are rendered (ms), on top of the
+// measured one-way latency. A bit more than one 100 ms broadcast tick so one
+// late packet doesn't stall motion.
+const INTERPOLATION_DELAY = 150;
+// Smoothing for the latency estimate (weight of each new snapshot)
+const LATENCY_SMOOTHING = 0.1;
+// Ignore latencies above this - usually a sender whose clock isn't synced yet
+const MAX_LATENCY = 1000;
+// Stop extrapolating this long after the last snapshot (ms)
+const MAX_EXTRAPOLATION = 250;
+// Corrections larger than this are applied at once instead of faded out
+const SNAP_DISTANCE = 40;
+// How quickly small corrections (e.g. after an extrapolation miss) fade out, per second
+const CORRECTION_RATE = 15;
+// Peers only broadcast when they move. If a snapshot arrives after a longer silence,
+// the state shown during the gap is re-stamped just before it so the peer doesn't
+// slowly glide across the whole gap.
+const MAX_SNAPSHOT_GAP = 250;
+const EXPECTED_SNAPSHOT_INTERVAL = 100;
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Interpolate between angles along the shortest arc
+function lerpAngle(a, b, t) {
+  let delta = (b - a) % (Math.PI * 2);
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  return a + delta * t;
+}
+
+export class SnapshotBuffer {
+  constructor(options = {}) {
+    this.interpolationDelay = options.interpolationDelay ?? INTERPOLATION_DELAY;
+    this.maxExtrapolation = options.maxExtrapolation ?? MAX_EXTRAPOLATION;
+    this.snapDistance = options.snapDistance ?? SNAP_DISTANCE;
+    this.snapshots = []; // { time, position, velocity, rotation }, oldest first
+    this.rendered = null; // { position, velocity, rotation } last returned by sample()
+    this.lastTarget = null;
+    this.lastRenderTime = 0;
+    this.errorOffset = { x: 0, y: 0, z: 0 }; // Correction still being faded out
+    this.latency = 0; // Smoothed time between a snapshot being sent and received (ms)
+  }
+
+  // Add a snapshot sent at `time` and received at `receivedAt`, both in shared
+  // network time (ms, same clock as sample()). Without a sender timestamp pass
+  // the receive time for both.
+  push(state, time, receivedAt = time) {
+    if (!state.position) return;
+
+    const latency = Math.min(MAX_LATENCY, Math.max(0, receivedAt - time));
+    this.latency += (latency - this.latency) * LATENCY_SMOOTHING;
+
+    const snapshot = {
+      time,
+      position: { ...state.position },
+      velocity: state.velocity ? { ...state.velocity } : { x: 0, y: 0, z: 0 },
+      rotation: state.rotation ?? 0
+    };
+
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && time < last.time) {
+      // Out of order - insert in place
+      const index = this.snapshots.findIndex(existing => existing.time > time);
+      this.snapshots.splice(index, 0, snapshot);
+      return;
+    }
+
+    if (last && time - last.time > MAX_SNAPSHOT_GAP) {
+      // Where we were showing the peer during the gap (held or dead-reckoned)
+      const fillerTime = time - EXPECTED_SNAPSHOT_INTERVAL;
+      this.snapshots.push({ ...this.getTarget(fillerTime), time: fillerTime });
+    }
+
+    this.snapshots.push(snapshot);
+  }
+
+  // Position and rotation to render at `now`
+  // `deltaTime` (seconds) controls how fast corrections are smoothed out
+  sample(now, deltaTime = 0) {
+    if (this.snapshots.length === 0) return this.rendered;
+
+    const renderTime = now - this.latency - this.interpolationDelay;
+    const target = this.getTarget(renderTime);
+
+    // If new snapshots changed where we should have been last frame (e.g. a late
+    // update replaced an extrapolation), carry the jump as an offset and fade it out
+    if (this.lastTarget) {
+      const corrected = this.getTarget(this.lastRenderTime);
+      this.errorOffset.x += this.lastTarget.position.x - corrected.position.x;
+      this.errorOffset.y += this.lastTarget.position.y - corrected.position.y;
+      this.errorOffset.z += this.lastTarget.position.z - corrected.position.z;
+    }
+
+    const decay = Math.exp(-CORRECTION_RATE * deltaTime);
+    this.errorOffset.x *= decay;
+    this.errorOffset.y *= decay;
+    this.errorOffset.z *= decay;
+
+    const error = Math.sqrt(
+      this.errorOffset.x * this.errorOffset.x +
+      this.errorOffset.y * this.errorOffset.y +
+      this.errorOffset.z * this.errorOffset.z
+    );
+    if (error > this.snapDistance) {
+      this.errorOffset = { x: 0, y: 0, z: 0 };
+    }
+
+    this.lastTarget = target;
+    this.lastRenderTime = renderTime;
+    this.prune(renderTime);
+
+    this.rendered = {
+      position: {
+        x: target.position.x + this.errorOffset.x,
+        y: target.position.y + this.errorOffset.y,
+        z: target.position.z + this.errorOffset.z
+      },
+      velocity: target.velocity,
+      rotation: target.rotation
+    };
+    return this.rendered;
+  }
+
+  // Interpolated (or extrapolated) state at renderTime
+  getTarget(renderTime) {
+    const snapshots = this.snapshots;
+    const newest = snapshots[snapshots.length - 1];
+
+    // Late updates: dead-reckon from the newest snapshot
+    if (renderTime >= newest.time) {
+      const late = renderTime - newest.time;
+      const elapsed = Math.min(late, this.maxExtrapolation) / 1000;
+      return {
+        position: {
+          x: newest.position.x + newest.velocity.x * elapsed,
+          y: newest.position.y + newest.velocity.y * elapsed,
+          z: newest.position.z + newest.velocity.z * elapsed
+        },
+        // Once extrapolation runs out the cube holds still
+        velocity: late > this.maxExtrapolation ? { x: 0, y: 0, z: 0 } : newest.velocity,
+        rotation: newest.rotation
+      };
+    }
+
+    if (renderTime <= snapshots[0].time) {
+      return snapshots[0];
+    }
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      const to = snapshots[i];
+      if (renderTime >= from.time) {
+        const t = (renderTime - from.time) / (to.time - from.time || 1);
+        return {
+          position: {
+            x: lerp(from.position.x, to.position.x, t),
+            y: lerp(from.position.y, to.position.y, t),
+            z: lerp(from.position.z, to.position.z, t)
+          },
+          velocity: to.velocity,
+          rotation: lerpAngle(from.rotation, to.rotation, t)
+        };
+      }
+    }
+
+    return newest;
+  }
+
+  // Drop snapshots we'll never interpolate from again, keeping one before renderTime
+  prune(renderTime) {
+    while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+      this.snapshots.shift();
+    }
+  }
+}
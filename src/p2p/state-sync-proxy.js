@@ -0,0 +1,68 @@
+// Main-thread proxy for a StateSync running in the network worker.
+// Exposes the same methods as StateSync, forwarded as worker messages.
+export class WorkerStateSync {
+  constructor(url) {
+    this.url = url;
+    this.eventHandlers = [];
+    this.worker = new Worker(new URL('./network.worker.js', import.meta.url), { type: 'module' });
+
+    this.worker.onmessage = (event) => {
+      this.eventHandlers.forEach(handler => handler(event.data));
+    };
+
+    this.worker.onerror = (error) => {
+      console.error('Network worker error:', error);
+    };
+  }
+
+  connect(localPlayer, room) {
+    return new Promise((resolve, reject) => {
+      const handleConnect = (event) => {
+        if (event.type === 'connected') {
+          this.eventHandlers = this.eventHandlers.filter(handler => handler !== handleConnect);
+          resolve();
+        } else if (event.type === 'connect_error') {
+          this.eventHandlers = this.eventHandlers.filter(handler => handler !== handleConnect);
+          reject(new Error(event.message));
+        }
+      };
+      this.eventHandlers.push(handleConnect);
+
+      this.worker.postMessage({ command: 'connect', url: this.url, localPlayer, room });
+    });
+  }
+
+  updateLocalPlayer(updates) {
+    this.worker.postMessage({ command: 'update', updates });
+  }
+
+  broadcastPlayerState() {
+    this.worker.postMessage({ command: 'broadcast' });
+  }
+
+  send(message) {
+    this.worker.postMessage({ command: 'send', message });
+  }
+
+  handleChannelMessage(peerId, data) {
+    this.worker.postMessage({ command: 'channel_message', peerId, data });
+  }
+
+  onEvent(handler) {
+    this.eventHandlers.push(handler);
+  }
+
+  stop() {
+    this.worker.postMessage({ command: 'stop' });
+    // Give the worker a moment to send 'leave' before tearing it down
+    setTimeout(() => this.worker.terminate(), 500);
+  }
+}
+
+// The worker only hosts the WebSocket relay transport; libp2p needs
+// RTCPeerConnection and loopback needs a shared in-process hub, so those run inline.
+// Disable with ?worker=0 for debugging.
+export function canUseNetworkWorker() {
+  if (typeof Worker === 'undefined' || typeof window === 'undefined') return false;
+  return new URLSearchParams(window.location.search).get('worker') !== '0';
+}
@@ -0,0 +1,276 @@
+import { decodeMessage, PlayerStateEncoder } from '@cubechat/codec';
+import { ClockSync } from './clock.js';
+
+// Relay clock pings: a quick burst after connecting, then a slow refresh
+const CLOCK_SYNC_BURST = 4;
+const CLOCK_SYNC_BURST_INTERVAL = 250;
+const CLOCK_SYNC_INTERVAL = 5000;
+// A stamped state this much older than the newest one means the sender's clock
+// estimate jumped (e.g. its first relay pong arrived), not a reordered packet
+const MAX_REORDER_WINDOW = 1000;
+// Peer-to-peer messages that also travel over the relay when there is no open
+// data channel to the recipient
+const PEER_MESSAGE_TYPES = ['chat', 'reaction'];
+
+// Player state synchronization: owns the signaling transport, the table of known
+// peers, change detection and serialization of the local player's state.
+// Has no DOM or WebRTC dependencies, so it can run inside the network worker
+// (see network.worker.js) or inline on the main thread.
+//
+// Results are reported as events to onEvent handlers:
+//   { type: 'player_update', peerId, data, wasNew, timestamp } - a peer's state changed
+//                                                    (timestamp in shared time, null if unknown)
+//   { type: 'player_leave', peerId }               - a peer left the room
+//   { type: 'signal', message }                    - WebRTC signaling for the main thread
+//   { type: 'channel_broadcast', payload }         - encoded state (codec.js) to send on data channels
+//   { type: 'channel_message', peerId, message }   - other data channel messages, parsed
+//   { type: 'peer_message', peerId, message }      - a PEER_MESSAGE_TYPES message that came via the relay
+//   { type: 'clock_update', offset, rtt }          - new estimate of the relay clock
+//   { type: 'ice_config', iceServers }             - TURN servers handed out by the relay
+//   { type: 'relay_reconnected' }                  - the transport came back after dropping
+export class StateSync {
+  constructor(transport) {
+    this.transport = transport;
+    this.peers = new Map();
+    this.localPlayer = null;
+    this.room = null;
+    this.eventHandlers = [];
+    this.lastBroadcastState = null; // Track last broadcast state to detect changes
+    this.broadcastInterval = null;
+    this.encoder = new PlayerStateEncoder();
+    this.clock = new ClockSync(); // Offset to the relay's clock - our shared network time
+    this.clockTimer = null;
+    this.clockPingsSent = 0;
+    this.lastTimestamps = new Map(); // peerId -> timestamp of the newest applied state
+  }
+
+  async connect(localPlayer, room) {
+    this.localPlayer = localPlayer;
+    this.room = room;
+
+    this.transport.onMessage((message) => {
+      this.handleTransportMessage(message);
+    });
+
+    // Broadcast current state immediately after the transport comes back
+    this.transport.onReconnect(() => {
+      this.encoder.requestKeyframe();
+      this.sendTimePing();
+      this.broadcastPlayerState();
+      this.emit({ type: 'relay_reconnected' });
+    });
+
+    await this.transport.connect({
+      peerId: this.localPlayer.id,
+      room: this.room,
+      getState: () => this.localPlayer
+    });
+
+    this.scheduleClockSync();
+
+    // Check for changes and broadcast only when player state changes
+    this.broadcastInterval = setInterval(() => {
+      this.broadcastPlayerStateIfChanged();
+    }, 100); // Check 10 times per second
+  }
+
+  handleTransportMessage(message) {
+    // Don't process own messages
+    if (message.peerId === this.localPlayer.id) {
+      return;
+    }
+
+    if (message.type === 'player_state') {
+      this.applyPeerState(message.peerId, message.data, message.timestamp);
+    } else if (message.type === 'time_pong') {
+      this.clock.addSample(message.t0, message.t1, message.t2);
+      this.emit({ type: 'clock_update', offset: this.clock.offset, rtt: this.clock.rtt });
+    } else if (message.type === 'ice_config') {
+      this.emit({ type: 'ice_config', iceServers: message.iceServers });
+    } else if (message.type === 'world_snapshot') {
+      // Everyone already in the room, sent by the relay when we join
+      console.log('Received world snapshot with', message.peers.length, 'players');
+      this.applyPeerStates(message.peers);
+    } else if (message.type === 'far_peers') {
+      // Coarse low-rate updates from the relay for peers outside our interest radius
+      this.applyPeerStates(message.peers);
+    } else if (message.type === 'player_leave') {
+      this.peers.delete(message.peerId);
+      this.lastTimestamps.delete(message.peerId);
+      this.emit({ type: 'player_leave', peerId: message.peerId });
+    } else if (message.type === 'webrtc-offer' || message.type === 'webrtc-answer' ||
+               message.type === 'webrtc-ice' || message.type === 'webrtc-decline') {
+      this.emit({ type: 'signal', message });
+    } else if (PEER_MESSAGE_TYPES.includes(message.type)) {
+      // Relay copy of a message that normally goes over the data channels
+      this.emit({ type: 'peer_message', peerId: message.peerId, message });
+    }
+  }
+
+  // Raw data channel payload received by the main thread - binary state or JSON
+  handleChannelMessage(peerId, data) {
+    try {
+      const message = decodeMessage(data);
+
+      // Handle player state updates via P2P
+      if (message.type === 'player_state') {
+        this.applyPeerState(peerId, message.data, message.timestamp);
+      } else {
+        this.emit({ type: 'channel_message', peerId, message });
+      }
+    } catch (error) {
+      console.error('Error parsing data channel message:', error);
+    }
+  }
+
+  // Apply a batch of { peerId, data } entries at once
+  applyPeerStates(peers) {
+    peers
+      .filter(peer => peer.peerId !== this.localPlayer.id)
+      .forEach(peer => this.applyPeerState(peer.peerId, peer.data));
+  }
+
+  // Binary updates only carry name and color when they change, so merge
+  // into what we already know about the peer
+  applyPeerState(peerId, update, timestamp = null) {
+    // Every state arrives twice (data channel and relay) and may arrive out of
+    // order - only apply stamped states newer than the last one
+    if (timestamp != null) {
+      const lastTimestamp = this.lastTimestamps.get(peerId);
+      if (lastTimestamp != null && timestamp <= lastTimestamp &&
+          lastTimestamp - timestamp < MAX_REORDER_WINDOW) return;
+      this.lastTimestamps.set(peerId, timestamp);
+    }
+
+    const wasNew = !this.peers.has(peerId);
+    const data = { ...this.peers.get(peerId), ...update };
+    this.peers.set(peerId, data);
+
+    // Make sure the newcomer gets our name and color with the next update
+    if (wasNew) {
+      this.encoder.requestKeyframe();
+    }
+
+    this.emit({ type: 'player_update', peerId, data, wasNew, timestamp });
+  }
+
+  updateLocalPlayer(updates) {
+    this.localPlayer = { ...this.localPlayer, ...updates };
+  }
+
+  // Check if player state has changed significantly
+  hasPlayerStateChanged() {
+    if (!this.lastBroadcastState) return true;
+
+    const current = this.localPlayer;
+    const last = this.lastBroadcastState;
+
+    // Define threshold for position changes (small movements don't trigger update)
+    const POSITION_THRESHOLD = 0.01;
+    const ROTATION_THRESHOLD = 0.01;
+    const VELOCITY_THRESHOLD = 0.001;
+
+    // Check position changes
+    if (Math.abs(current.position.x - last.position.x) > POSITION_THRESHOLD ||
+        Math.abs(current.position.y - last.position.y) > POSITION_THRESHOLD ||
+        Math.abs(current.position.z - last.position.z) > POSITION_THRESHOLD) {
+      return true;
+    }
+
+    // Check velocity changes
+    if (Math.abs(current.velocity.x - last.velocity.x) > VELOCITY_THRESHOLD ||
+        Math.abs(current.velocity.y - last.velocity.y) > VELOCITY_THRESHOLD ||
+        Math.abs(current.velocity.z - last.velocity.z) > VELOCITY_THRESHOLD) {
+      return true;
+    }
+
+    // Check rotation changes
+    if (Math.abs(current.rotation - last.rotation) > ROTATION_THRESHOLD) {
+      return true;
+    }
+
+    return false;
+  }
+
+  broadcastPlayerStateIfChanged() {
+    if (!this.localPlayer) return;
+
+    // Only broadcast if state has changed
+    if (this.hasPlayerStateChanged()) {
+      this.broadcastPlayerState();
+    }
+  }
+
+  broadcastPlayerState() {
+    if (!this.localPlayer) return;
+
+    // One compact binary encoding shared by the data channels and the transport
+    const payload = this.encoder.encode(this.localPlayer, this.now());
+
+    // Send via P2P data channels to connected peers (the main thread owns them)
+    this.emit({
+      type: 'channel_broadcast',
+      payload
+    });
+
+    // Also send via the transport for peer discovery and as fallback
+    // This ensures new players can discover us even if no P2P connection yet
+    this.transport.broadcast(payload);
+
+    // Save current state as last broadcast state
+    this.lastBroadcastState = {
+      position: { ...this.localPlayer.position },
+      velocity: { ...this.localPlayer.velocity },
+      rotation: this.localPlayer.rotation
+    };
+  }
+
+  // Shared network time in ms (relay clock; local wall clock until the first pong)
+  now() {
+    return this.clock.now();
+  }
+
+  // Ask the relay for its time. Transports without a relay to answer (libp2p)
+  // never reply, and shared time stays on the local wall clock.
+  sendTimePing() {
+    this.transport.broadcast({ type: 'time_ping', t0: Date.now() });
+  }
+
+  scheduleClockSync() {
+    this.sendTimePing();
+    this.clockPingsSent++;
+    const delay = this.clockPingsSent < CLOCK_SYNC_BURST ? CLOCK_SYNC_BURST_INTERVAL : CLOCK_SYNC_INTERVAL;
+    this.clockTimer = setTimeout(() => this.scheduleClockSync(), delay);
+  }
+
+  // Send through the transport - to one peer if targetPeer is set, else the whole room
+  send(message) {
+    if (message.targetPeer) {
+      this.transport.send(message.targetPeer, message);
+    } else {
+      this.transport.broadcast(message);
+    }
+  }
+
+  emit(event) {
+    this.eventHandlers.forEach(handler => handler(event));
+  }
+
+  onEvent(handler) {
+    this.eventHandlers.push(handler);
+  }
+
+  stop() {
+    if (this.broadcastInterval) {
+      clearInterval(this.broadcastInterval);
+      this.broadcastInterval = null;
+    }
+    if (this.clockTimer) {
+      clearTimeout(this.clockTimer);
+      this.clockTimer = null;
+    }
+
+    // Leave the room and disconnect
+    this.transport.close();
+  }
+}
@@ -0,0 +1,18 @@
+import { WebSocketTransport } from './websocket-transport.js';
+import { LoopbackTransport } from './loopback-transport.js';
+
+export { WebSocketTransport, LoopbackTransport };
+export { LoopbackHub } from './loopback-transport.js';
+
+// Create a transport by name: 'websocket' (default), 'libp2p' or 'loopback'
+// libp2p is loaded on demand so the default build doesn't pay for it
+export async function createTransport(name = 'websocket') {
+  if (name === 'libp2p') {
+    const { Libp2pTransport } = await import('./libp2p-transport.js');
+    return new Libp2pTransport();
+  }
+  if (name === 'loopback') {
+    return new LoopbackTransport();
+  }
+  return new WebSocketTransport();
+}
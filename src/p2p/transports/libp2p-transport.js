@@ -0,0 +1,218 @@
+import { createLibp2p } from 'libp2p';
+import { webSockets } from '@libp2p/websockets';
+import { webRTC } from '@libp2p/webrtc';
+import { circuitRelayTransport } from '@libp2p/circuit-relay-v2';
+import { noise } from '@chainsafe/libp2p-noise';
+import { yamux } from '@chainsafe/libp2p-yamux';
+import { gossipsub } from '@chainsafe/libp2p-gossipsub';
+import { identify } from '@libp2p/identify';
+import { bootstrap } from '@libp2p/bootstrap';
+import { pubsubPeerDiscovery } from '@libp2p/pubsub-peer-discovery';
+import { decodePlayerState, isBinaryMessage } from '@cubechat/codec';
+
+// Same topic the libp2p server (server/server.js) subscribes to and relays
+const TOPIC = '/tron-overworld/1.0.0';
+
+// Idle players don't broadcast, so re-announce periodically to stay visible
+const KEEPALIVE_INTERVAL = 5000;
+// Peers we haven't heard from in this long are treated as gone
+const PEER_TIMEOUT = 15000;
+
+// Bootstrap multiaddrs of the libp2p relay server(s), including its peer ID
+// e.g. /ip4/192.168.1.100/tcp/9090/ws/p2p/12D3KooW...
+// Set with ?bootstrap=<addr>[,<addr>] or the VITE_LIBP2P_BOOTSTRAP environment variable
+export function getBootstrapAddresses() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  const list = params.get('bootstrap') || import.meta.env?.VITE_LIBP2P_BOOTSTRAP || '';
+  return list.split(',').map(addr => addr.trim()).filter(Boolean);
+}
+
+// Transport that publishes state and signaling over libp2p gossipsub instead of
+// the WebSocket relay. There is no server routing messages, so this transport
+// emulates the relay itself: receivers filter by room and targetPeer, newcomers
+// get our state in reply to their join, and silent peers produce player_leave.
+// Same interface as WebSocketTransport.
+export class Libp2pTransport {
+  constructor(bootstrapList = getBootstrapAddresses()) {
+    this.bootstrapList = bootstrapList;
+    this.node = null;
+    this.join = null;
+    this.messageHandlers = [];
+    this.reconnectHandlers = [];
+    this.lastSeen = new Map(); // peerId -> timestamp of last pubsub message
+    this.keepaliveInterval = null;
+    this.textEncoder = new TextEncoder();
+    this.textDecoder = new TextDecoder();
+  }
+
+  async connect(join) {
+    this.join = join;
+
+    if (this.bootstrapList.length === 0) {
+      console.warn('No libp2p bootstrap addresses configured - only peers found via pubsub discovery will be reachable');
+    }
+
+    const peerDiscovery = [pubsubPeerDiscovery({ interval: 10000 })];
+    if (this.bootstrapList.length > 0) {
+      peerDiscovery.push(bootstrap({ list: this.bootstrapList }));
+    }
+
+    this.node = await createLibp2p({
+      addresses: {
+        // Reserve a slot on the circuit relay so other browsers can reach us,
+        // then upgrade to a direct WebRTC connection
+        listen: ['/p2p-circuit', '/webrtc']
+      },
+      transports: [
+        webSockets(),
+        webRTC(),
+        circuitRelayTransport()
+      ],
+      connectionEncrypters: [noise()],
+      streamMuxers: [yamux()],
+      connectionGater: {
+        // Allow dialing private addresses for LAN play
+        denyDialMultiaddr: () => false
+      },
+      peerDiscovery,
+      services: {
+        identify: identify(),
+        pubsub: gossipsub({
+          emitSelf: false,
+          allowPublishToZeroTopicPeers: true
+        })
+      }
+    });
+
+    this.node.services.pubsub.subscribe(TOPIC);
+    this.node.services.pubsub.addEventListener('message', (evt) => {
+      this.handlePubsubMessage(evt.detail);
+    });
+
+    this.node.addEventListener('peer:discovery', (evt) => {
+      console.log('Discovered libp2p peer:', evt.detail.id.toString());
+    });
+
+    console.log('libp2p Peer ID:', this.node.peerId.toString());
+
+    // Announce presence
+    this.broadcast({
+      type: 'join',
+      peerId: join.peerId,
+      data: join.getState()
+    });
+
+    // Keep idle players visible and drop peers that went silent
+    this.keepaliveInterval = setInterval(() => {
+      this.announceState();
+      this.pruneSilentPeers();
+    }, KEEPALIVE_INTERVAL);
+  }
+
+  announceState() {
+    this.broadcast({
+      type: 'player_state',
+      peerId: this.join.peerId,
+      data: this.join.getState()
+    });
+  }
+
+  send(peerId, message) {
+    this.broadcast({ ...message, targetPeer: peerId });
+  }
+
+  // Publish a message to everyone on the topic
+  broadcast(message) {
+    if (!this.node) return;
+
+    // There is no relay to answer clock pings; shared time stays on the local clock
+    if (message.type === 'time_ping') return;
+
+    // Every gossipsub message carries its room in the JSON envelope, so binary
+    // player_state updates are expanded back to JSON here
+    if (isBinaryMessage(message)) {
+      message = decodePlayerState(message);
+    }
+
+    const payload = this.textEncoder.encode(JSON.stringify({ ...message, room: this.join.room }));
+    this.node.services.pubsub.publish(TOPIC, payload).catch((error) => {
+      console.error('Error publishing to libp2p topic:', error);
+    });
+  }
+
+  handlePubsubMessage(pubsubMessage) {
+    if (pubsubMessage.topic !== TOPIC) return;
+
+    let message;
+    try {
+      message = JSON.parse(this.textDecoder.decode(pubsubMessage.data));
+    } catch (error) {
+      console.error('Error parsing libp2p message:', error);
+      return;
+    }
+
+    // Emulate the relay server: rooms and targeted signaling
+    if (message.room !== this.join.room) return;
+    if (message.targetPeer && message.targetPeer !== this.join.peerId) return;
+    if (!message.peerId || message.peerId === this.join.peerId) return;
+
+    this.lastSeen.set(message.peerId, Date.now());
+
+    if (message.type === 'join') {
+      // Let the newcomer see us right away, even if we're standing still
+      this.announceState();
+      if (message.data) {
+        this.emit({ type: 'player_state', peerId: message.peerId, data: message.data });
+      }
+    } else if (message.type === 'leave') {
+      this.lastSeen.delete(message.peerId);
+      this.emit({ type: 'player_leave', peerId: message.peerId });
+    } else {
+      this.emit(message);
+    }
+  }
+
+  pruneSilentPeers() {
+    const now = Date.now();
+    this.lastSeen.forEach((timestamp, peerId) => {
+      if (now - timestamp > PEER_TIMEOUT) {
+        console.log('No messages from', peerId, 'for', PEER_TIMEOUT, 'ms - removing');
+        this.lastSeen.delete(peerId);
+        this.emit({ type: 'player_leave', peerId });
+      }
+    });
+  }
+
+  emit(message) {
+    this.messageHandlers.forEach(handler => handler(message));
+  }
+
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  // libp2p redials peers on its own; nothing to re-announce
+  onReconnect(handler) {
+    this.reconnectHandlers.push(handler);
+  }
+
+  close() {
+    if (!this.node) return;
+
+    this.broadcast({
+      type: 'leave',
+      peerId: this.join.peerId
+    });
+
+    if (this.keepaliveInterval) {
+      clearInterval(this.keepaliveInterval);
+      this.keepaliveInterval = null;
+    }
+
+    const node = this.node;
+    this.node = null;
+    node.stop().catch((error) => {
+      console.error('Error stopping libp2p node:', error);
+    });
+  }
+}
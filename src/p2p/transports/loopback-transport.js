@@ -0,0 +1,125 @@
+import { decodeMessage, decodePlayerState, isBinaryMessage } from '@cubechat/codec';
+
+// In-memory stand-in for the relay server, shared by every LoopbackTransport
+// attached to it. Mirrors the relay's room semantics: join, world snapshots,
+// targeted delivery, room broadcasts and player_leave on close.
+export class LoopbackHub {
+  constructor() {
+    this.rooms = new Map(); // room name -> Map of peerId -> { transport, state }
+  }
+
+  join(transport, peerId, room, state) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Map());
+    }
+    const members = this.rooms.get(room);
+
+    // Tell the newcomer about everyone already here
+    const peers = [];
+    members.forEach((member, id) => {
+      if (member.state?.position) {
+        peers.push({ peerId: id, data: member.state });
+      }
+    });
+
+    members.set(peerId, { transport, state });
+    transport.deliver({ type: 'world_snapshot', peers });
+    this.broadcast(room, peerId, { type: 'join', peerId, room, data: state });
+  }
+
+  leave(room, peerId) {
+    const members = this.rooms.get(room);
+    if (!members || !members.delete(peerId)) return;
+
+    if (members.size === 0) {
+      this.rooms.delete(room);
+    }
+    this.broadcast(room, peerId, { type: 'player_leave', peerId });
+  }
+
+  send(room, peerId, message) {
+    this.rooms.get(room)?.get(peerId)?.transport.deliver(message);
+  }
+
+  broadcast(room, senderId, message) {
+    const members = this.rooms.get(room);
+    if (!members) return;
+
+    // Answer clock pings like the relay, with this process's clock
+    if (message.type === 'time_ping') {
+      const now = Date.now();
+      members.get(senderId)?.transport.deliver({ type: 'time_pong', t0: message.t0, t1: now, t2: now });
+      return;
+    }
+
+    // Cache the latest state for snapshots, like the relay does
+    if (members.has(senderId)) {
+      const member = members.get(senderId);
+      if (isBinaryMessage(message)) {
+        member.state = { ...member.state, ...decodePlayerState(message).data };
+      } else if (message.type === 'player_state') {
+        member.state = message.data;
+      }
+    }
+
+    members.forEach((member, id) => {
+      if (id !== senderId) {
+        member.transport.deliver(message);
+      }
+    });
+  }
+}
+
+// Hub used when no hub is passed in, so transports created in the same
+// process (e.g. several P2PNetwork instances in a Node script) see each other
+const defaultHub = new LoopbackHub();
+
+// Transport that never leaves the process - for running P2PNetwork without a
+// browser or relay server. Same interface as WebSocketTransport.
+export class LoopbackTransport {
+  constructor(hub = defaultHub) {
+    this.hub = hub;
+    this.join = null;
+    this.messageHandlers = [];
+    this.reconnectHandlers = [];
+  }
+
+  async connect(join) {
+    this.join = join;
+    this.hub.join(this, join.peerId, join.room, join.getState());
+  }
+
+  send(peerId, message) {
+    if (!this.join) return;
+    this.hub.send(this.join.room, peerId, { ...message, targetPeer: peerId });
+  }
+
+  broadcast(message) {
+    if (!this.join) return;
+    this.hub.broadcast(this.join.room, this.join.peerId, message);
+  }
+
+  // Called by the hub. Delivery is asynchronous like a real network,
+  // and messages are copied so peers never share state objects.
+  deliver(message) {
+    const copy = isBinaryMessage(message) ? decodeMessage(message) : JSON.parse(JSON.stringify(message));
+    setTimeout(() => {
+      this.messageHandlers.forEach(handler => handler(copy));
+    }, 0);
+  }
+
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  // A loopback connection never drops, so reconnect handlers never fire
+  onReconnect(handler) {
+    this.reconnectHandlers.push(handler);
+  }
+
+  close() {
+    if (!this.join) return;
+    this.hub.leave(this.join.room, this.join.peerId);
+    this.join = null;
+  }
+}
@@ -0,0 +1,172 @@
+import { decodeMessage, isBinaryMessage } from '@cubechat/codec';
+
+// WebSocket server address - automatically uses the host that served the page
+// This allows phones and other devices to connect automatically
+export function getWebSocketServer() {
+  // Check for environment variable override first
+  if (import.meta.env?.VITE_WS_SERVER) {
+    return import.meta.env.VITE_WS_SERVER;
+  }
+
+  // Auto-detect based on environment
+  // In dev mode (localhost), use local WebSocket server
+  // In production, use the production server
+  // Outside a browser (Node) there is no page to inspect, so assume a local server
+  if (import.meta.env?.DEV || typeof window === 'undefined' ||
+      window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+    return 'ws://localhost:8080';
+  }
+
+  // Production: use secure WebSocket on secretworkshop.net
+  return `wss://secretworkshop.net/cubechat/`;
+}
+
+// Transport that talks to the WebSocket relay server (server/ws-server.js)
+//
+// Transport interface used by P2PNetwork:
+//   connect({ peerId, room, getState }) - join a room, resolves once connected
+//   send(peerId, message)              - deliver a message to one peer in the room
+//   broadcast(message)                 - deliver a message to everyone else in the room
+//                                        (a message object, or an encoded player_state from codec.js)
+//   onMessage(handler)                 - handler(message) for every incoming message
+//   onReconnect(handler)               - handler() after the connection was re-established
+//   close()                            - leave the room and disconnect for good
+export class WebSocketTransport {
+  constructor(url = getWebSocketServer()) {
+    this.url = url;
+    this.ws = null;
+    this.join = null; // { peerId, room, getState } from connect()
+    this.messageHandlers = [];
+    this.reconnectHandlers = [];
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 10;
+    this.reconnectDelay = 1000; // Start with 1 second
+    this.isReconnecting = false;
+    this.shouldReconnect = true;
+  }
+
+  connect(join) {
+    this.join = join;
+    return this.open();
+  }
+
+  // Open the socket and announce ourselves to the room
+  open() {
+    return new Promise((resolve, reject) => {
+      try {
+        this.ws = new WebSocket(this.url);
+        this.ws.binaryType = 'arraybuffer';
+
+        this.ws.onopen = () => {
+          console.log('Connected to P2P relay server');
+
+          // Announce presence with current state
+          this.broadcast({
+            type: 'join',
+            peerId: this.join.peerId,
+            room: this.join.room,
+            data: this.join.getState()
+          });
+
+          resolve();
+        };
+
+        this.ws.onmessage = (event) => {
+          // A truncated binary frame or bad JSON shouldn't take the socket handler down
+          let message;
+          try {
+            message = decodeMessage(event.data);
+          } catch (error) {
+            console.error('Error parsing relay message:', error);
+            return;
+          }
+          this.messageHandlers.forEach(handler => handler(message));
+        };
+
+        this.ws.onerror = (error) => {
+          console.error('WebSocket error:', error);
+          reject(error);
+        };
+
+        this.ws.onclose = () => {
+          console.log('Disconnected from P2P server');
+
+          // Attempt to reconnect if not intentionally stopped
+          if (this.shouldReconnect && !this.isReconnecting) {
+            this.attemptReconnect();
+          }
+        };
+
+        // Timeout after 5 seconds
+        setTimeout(() => {
+          if (this.ws.readyState !== WebSocket.OPEN) {
+            reject(new Error('Connection timeout'));
+          }
+        }, 5000);
+      } catch (error) {
+        console.error('Failed to initialize WebSocket:', error);
+        reject(error);
+      }
+    });
+  }
+
+  async attemptReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('Max reconnection attempts reached. Please refresh the page.');
+      return;
+    }
+
+    this.isReconnecting = true;
+    this.reconnectAttempts++;
+
+    // Exponential backoff: 1s, 2s, 4s, 8s, etc. (max 30s)
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
+
+    console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${delay}ms...`);
+
+    setTimeout(async () => {
+      try {
+        await this.open();
+        console.log('Reconnected successfully!');
+        this.reconnectAttempts = 0; // Reset on success
+        this.isReconnecting = false;
+        this.reconnectHandlers.forEach(handler => handler());
+      } catch (error) {
+        console.error('Reconnection failed:', error);
+        this.isReconnecting = false;
+        // Will trigger another attempt via onclose handler
+      }
+    }, delay);
+  }
+
+  // The relay routes anything with a targetPeer to that peer only
+  send(peerId, message) {
+    this.broadcast({ ...message, targetPeer: peerId });
+  }
+
+  broadcast(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(isBinaryMessage(message) ? message : JSON.stringify(message));
+    }
+  }
+
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  onReconnect(handler) {
+    this.reconnectHandlers.push(handler);
+  }
+
+  close() {
+    this.shouldReconnect = false; // Prevent reconnection attempts
+
+    if (this.ws) {
+      this.broadcast({
+        type: 'leave',
+        peerId: this.join?.peerId
+      });
+      this.ws.close();
+    }
+  }
+}
@@ -0,0 +1,62 @@
+// Video quality tiers for remote cubes
+// Each viewer picks a tier per peer from how far away the cube is and whether it
+// is on screen, and asks the sender for it. In full mesh the sender applies it to
+// that peer's camera sender with RTCRtpSender.setParameters; through the SFU the
+// camera is published as simulcast layers and the SFU forwards the tier's layer.
+
+// Camera capture size - 'full' sends it as is, the other tiers scale it down
+// Full mesh sends the camera to every nearby peer, so capture stays small unless
+// HD is asked for with ?hd=1 or localStorage 'hdCamera' = 'true'
+export const CAMERA_CONSTRAINTS = { width: 320, height: 240 };
+export const HD_CAMERA_CONSTRAINTS = { width: 640, height: 480 };
+
+export function isHdCamera() {
+  const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+  if (params.has('hd')) return params.get('hd') === '1';
+  try {
+    return typeof localStorage !== 'undefined' && localStorage.getItem('hdCamera') === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+export function getCameraConstraints() {
+  return isHdCamera() ? HD_CAMERA_CONSTRAINTS : CAMERA_CONSTRAINTS;
+}
+
+export const VIDEO_TIERS = {
+  full: { active: true, scaleResolutionDownBy: 1, maxBitrate: 600000, maxFramerate: 30, layer: 'f' },
+  medium: { active: true, scaleResolutionDownBy: 2, maxBitrate: 200000, maxFramerate: 20, layer: 'h' },
+  thumbnail: { active: true, scaleResolutionDownBy: 4, maxBitrate: 60000, maxFramerate: 10, layer: 'q' },
+  // Off screen - nothing to look at, so nothing is sent
+  hidden: { active: false, layer: null }
+};
+
+// Simulcast layers published to the SFU, lowest first
+export const SIMULCAST_ENCODINGS = ['thumbnail', 'medium', 'full'].map((tier) => {
+  const { layer, active, ...encoding } = VIDEO_TIERS[tier];
+  return { rid: layer, ...encoding };
+});
+
+// Within this distance, the cube you're looking at gets full quality
+const FULL_QUALITY_DISTANCE = 200;
+// Within this distance, everyone on screen gets medium quality
+const MEDIUM_QUALITY_DISTANCE = 250;
+// Looking at a cube = it's within this angle of the view direction (cosine of ~15°)
+const FACING_COS = 0.965;
+
+// Tier for a peer `distance` units away
+// `visibility`: { onScreen, facing } where facing is the cosine of the angle
+// between the view direction and the direction to the cube
+export function getVideoTier(distance, visibility) {
+  if (!visibility || !visibility.onScreen) return 'hidden';
+  if (visibility.facing >= FACING_COS && distance <= FULL_QUALITY_DISTANCE) return 'full';
+  if (distance <= MEDIUM_QUALITY_DISTANCE) return 'medium';
+  return 'thumbnail';
+}
+
+// RTCRtpEncodingParameters for a tier, merged into the sender's current encoding
+export function applyTierToEncoding(encoding, tier) {
+  const { layer, ...settings } = VIDEO_TIERS[tier];
+  return { ...encoding, ...settings };
+}
@@ -50,6 +50,27 @@ export class PhysicsWorld {
     return body;
   } 
 
+  // Remote players are driven by the network, not simulated locally.
+  // A kinematic body still pushes the local player around but ignores forces and gravity.
+  createRemotePlayerBody(id, position) {
+    const body = this.createPlayerBody(id, position);
+    body.type = CANNON.Body.KINEMATIC;
+    body.mass = 0;
+    body.updateMassProperties();
+    return body;
+  }
+
+  // Move a kinematic remote body to its interpolated network position
+  setKinematicState(id, position, velocity) {
+    const body = this.bodies.get(id);
+    if (!body) return;
+
+    body.position.set(position.x, position.y, position.z);
+    if (velocity) {
+      body.velocity.set(velocity.x, velocity.y, velocity.z);
+    }
+  }
+
   removePlayerBody(id) {
     const body = this.bodies.get(id);
     if (body) {
@@ -1,5 +1,20 @@
 import * as THREE from 'three';
 
+// Chat bubbles: how long one stays up, and how long of that it spends fading out (ms)
+const BUBBLE_DURATION = 6000;
+const BUBBLE_FADE = 1000;
+// At most this many bubbles per cube - older ones are dropped
+const MAX_BUBBLES = 3;
+// Bubbles keep their size up to this camera distance and grow beyond it, so they stay readable
+const BUBBLE_READABLE_DISTANCE = 60;
+const BUBBLE_MAX_LINES = 3;
+// Reactions: the emoji rises this far while fading out over REACTION_DURATION (ms),
+// and a burst of particles in the player's color flies out during the first part
+const REACTION_DURATION = 2000;
+const REACTION_RISE = 12;
+const REACTION_PARTICLES = 24;
+const REACTION_BURST_PORTION = 0.6;
+
 export class TronScene {
   constructor(container) {
     this.container = container;
@@ -8,6 +23,8 @@ export class TronScene {
     this.renderer = null;
     this.players = new Map();
     this.localPlayerId = null;
+    this.reactionEffects = []; // Running reaction animations
+    this.cameraFocus = null; // { id, follow, position } while the camera looks at someone else
     
     this.init();
   }
@@ -273,11 +290,16 @@ export class TronScene {
       });
       
       // Replace all materials with video material
+      // While the camera is off they're kept aside until it comes back on
+      let materials = videoMaterial;
       if (Array.isArray(player.material)) {
-        player.material = player.material.map(() => videoMaterial.clone());
-        player.material[4].map = videoTexture; // Front face gets the texture
+        materials = player.material.map(() => videoMaterial.clone());
+        materials[4].map = videoTexture; // Front face gets the texture
+      }
+      if (player.userData.cameraOff) {
+        player.userData.videoMaterials = materials;
       } else {
-        player.material = videoMaterial;
+        player.material = materials;
       }
       
       // Store references
@@ -314,38 +336,96 @@ export class TronScene {
       player.userData.videoTexture = null;
     }
 
+    player.userData.videoMaterials = null;
+
     // Restore original colored materials
     if (player.userData.originalColor) {
-      const materials = [];
-      for (let i = 0; i < 6; i++) {
-        materials.push(new THREE.MeshPhongMaterial({
-          color: player.userData.originalColor,
-          emissive: player.userData.originalColor,
-          emissiveIntensity: 0.5,
-          shininess: 100
-        }));
-      }
-      player.material = materials;
+      player.material = this.createColorMaterials(player.userData.originalColor);
     }
 
     console.log('Restored original materials for player', id);
   }
 
+  createColorMaterials(color) {
+    const materials = [];
+    for (let i = 0; i < 6; i++) {
+      materials.push(new THREE.MeshPhongMaterial({
+        color: color,
+        emissive: color,
+        emissiveIntensity: 0.5,
+        shininess: 100
+      }));
+    }
+    return materials;
+  }
+
+  // Camera turned off: show the colored cube instead of black video frames
+  // The video materials are kept and put back when the camera comes on again
+  setPlayerCameraOff(id, off) {
+    const player = this.players.get(id);
+    if (!player || !!player.userData.cameraOff === off) return;
+
+    player.userData.cameraOff = off;
+    if (off && player.userData.videoTexture) {
+      player.userData.videoMaterials = player.material;
+      player.material = this.createColorMaterials(player.userData.originalColor);
+    } else if (!off && player.userData.videoMaterials) {
+      player.material = player.userData.videoMaterials;
+      player.userData.videoMaterials = null;
+    }
+  }
+
+  // Pulse the glow and light beam with the player's voice level (0..1, 0 = silent)
+  setPlayerVoiceLevel(id, level) {
+    const player = this.players.get(id);
+    if (!player || player.userData.voiceLevel === level) return;
+    player.userData.voiceLevel = level;
+
+    const { glow, lightBeam } = player.userData;
+    if (glow) {
+      glow.material.opacity = 0.3 + level * 0.5;
+      glow.scale.setScalar(1 + level * 0.15);
+    }
+    if (lightBeam) {
+      lightBeam.material.opacity = 0.4 + level * 0.6;
+      lightBeam.scale.set(1 + level * 3, 1, 1 + level * 3);
+    }
+  }
+
+  // Show or hide a muted-mic icon above the cube (and its name)
+  setPlayerMicMuted(id, muted) {
+    const player = this.players.get(id);
+    if (!player) return;
+
+    if (!player.userData.muteIcon) {
+      if (!muted) return;
+
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d');
+      canvas.width = 64;
+      canvas.height = 64;
+      context.font = '48px Arial';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText('🔇', 32, 34);
+
+      const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+      sprite.position.set(0, 11, 0); // Above the name label
+      sprite.scale.set(3, 3, 1);
+      player.add(sprite);
+      player.userData.muteIcon = sprite;
+    }
+
+    player.userData.muteIcon.visible = muted;
+  }
+
   updatePlayer(id, position, rotation = null) {
     const player = this.players.get(id);
     if (player) {
-      // For local player, use direct position (no lerp) for precise physics
-      // For remote players, use lerp to smooth network jitter
-      if (id === this.localPlayerId) {
-        player.position.set(position.x, position.y, position.z);
-      } else {
-        player.position.lerp(
-          new THREE.Vector3(position.x, position.y, position.z),
-          0.2
-        );
-      }
+      // Remote positions arrive already smoothed by their SnapshotBuffer
+      player.position.set(position.x, position.y, position.z);
       
-      // Update rotation if provided (for local player)
+      // Update rotation if provided
       if (rotation !== null) {
         player.rotation.y = rotation;
       }
@@ -440,6 +520,198 @@ export class TronScene {
     }
   }
 
+  // Show a chat message as a bubble above the cube, drawn like the name label
+  // New bubbles appear at the bottom and push older ones up
+  showChatBubble(id, text) {
+    const player = this.players.get(id);
+    if (!player) return;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 512;
+    const font = '28px Arial';
+    context.font = font;
+    const lines = this.wrapText(context, text, canvas.width - 40);
+    canvas.height = lines.length * 34 + 24;
+
+    // Rounded box (resizing the canvas reset the context)
+    context.fillStyle = 'rgba(0, 4, 40, 0.85)';
+    context.strokeStyle = '#00ffff';
+    context.lineWidth = 3;
+    context.beginPath();
+    context.roundRect(2, 2, canvas.width - 4, canvas.height - 4, 16);
+    context.fill();
+    context.stroke();
+
+    context.font = font;
+    context.fillStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+      context.fillText(line, canvas.width / 2, 12 + 17 + index * 34);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    const width = 12;
+    sprite.userData.baseScale = { x: width, y: width * canvas.height / canvas.width };
+    sprite.scale.set(sprite.userData.baseScale.x, sprite.userData.baseScale.y, 1);
+    player.add(sprite);
+
+    const bubbles = player.userData.chatBubbles || (player.userData.chatBubbles = []);
+    bubbles.push({ sprite, createdAt: performance.now() });
+    while (bubbles.length > MAX_BUBBLES) {
+      this.removeChatBubble(player, bubbles.shift());
+    }
+  }
+
+  // Word-wrap to at most BUBBLE_MAX_LINES lines, ending with … if cut short
+  wrapText(context, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (context.measureText(candidate).width <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+
+    const shown = lines.slice(0, BUBBLE_MAX_LINES).map((value) => {
+      let trimmed = value;
+      while (trimmed.length > 1 && context.measureText(trimmed).width > maxWidth) {
+        trimmed = trimmed.slice(0, -1);
+      }
+      return trimmed === value ? value : `${trimmed}…`;
+    });
+    if (lines.length > BUBBLE_MAX_LINES && !shown[shown.length - 1].endsWith('…')) {
+      shown[shown.length - 1] += '…';
+    }
+    return shown;
+  }
+
+  removeChatBubble(player, bubble) {
+    player.remove(bubble.sprite);
+    bubble.sprite.material.map.dispose();
+    bubble.sprite.material.dispose();
+  }
+
+  // Fade, stack and scale all chat bubbles - called every frame from render()
+  updateChatBubbles() {
+    const now = performance.now();
+
+    this.players.forEach((player) => {
+      const bubbles = player.userData.chatBubbles;
+      if (!bubbles || bubbles.length === 0) return;
+
+      while (bubbles.length > 0 && now - bubbles[0].createdAt >= BUBBLE_DURATION) {
+        this.removeChatBubble(player, bubbles.shift());
+      }
+
+      const distance = this.camera.position.distanceTo(player.position);
+      const scale = Math.max(1, distance / BUBBLE_READABLE_DISTANCE);
+
+      // Newest at the bottom, just above the name label and mute icon
+      let y = 13;
+      for (let i = bubbles.length - 1; i >= 0; i--) {
+        const { sprite, createdAt } = bubbles[i];
+        const { x: width, y: height } = sprite.userData.baseScale;
+        sprite.scale.set(width * scale, height * scale, 1);
+        sprite.position.set(0, y + (height * scale) / 2, 0);
+        y += (height + 0.5) * scale;
+
+        const remaining = BUBBLE_DURATION - (now - createdAt);
+        sprite.material.opacity = Math.min(1, remaining / BUBBLE_FADE);
+      }
+    });
+  }
+
+  // Float a reaction emoji up from the cube with a particle burst
+  showReaction(id, emoji) {
+    const player = this.players.get(id);
+    if (!player) return;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 128;
+    canvas.height = 128;
+    context.font = '96px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(emoji, 64, 70);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthTest: false
+    }));
+    sprite.scale.set(6, 6, 1);
+    sprite.position.set(0, 10, 0);
+    player.add(sprite);
+
+    // Particles start at the top of the cube and fly up and outwards
+    const velocities = [];
+    for (let i = 0; i < REACTION_PARTICLES; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = 6 + Math.random() * 6;
+      velocities.push(new THREE.Vector3(Math.cos(angle) * speed, 4 + Math.random() * 6, Math.sin(angle) * speed));
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(REACTION_PARTICLES * 3), 3));
+    const color = player.userData.glow ? player.userData.glow.material.color : new THREE.Color(0x00ffff);
+    const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+      color,
+      size: 0.8,
+      transparent: true
+    }));
+    points.position.set(0, 3, 0);
+    player.add(points);
+
+    this.reactionEffects.push({ player, sprite, points, velocities, createdAt: performance.now() });
+  }
+
+  // Advance reaction animations - called every frame from render()
+  updateReactions() {
+    const now = performance.now();
+
+    this.reactionEffects = this.reactionEffects.filter((effect) => {
+      const { player, sprite, points, velocities } = effect;
+      const progress = (now - effect.createdAt) / REACTION_DURATION;
+
+      if (progress >= 1) {
+        player.remove(sprite);
+        player.remove(points);
+        sprite.material.map.dispose();
+        sprite.material.dispose();
+        points.geometry.dispose();
+        points.material.dispose();
+        return false;
+      }
+
+      sprite.position.y = 10 + REACTION_RISE * progress;
+      sprite.material.opacity = 1 - progress * progress;
+
+      const burst = Math.min(1, progress / REACTION_BURST_PORTION);
+      const seconds = (now - effect.createdAt) / 1000;
+      const positions = points.geometry.attributes.position;
+      velocities.forEach((velocity, i) => {
+        positions.setXYZ(i,
+          velocity.x * seconds,
+          velocity.y * seconds - 9.8 * seconds * seconds,
+          velocity.z * seconds);
+      });
+      positions.needsUpdate = true;
+      points.material.opacity = 1 - burst;
+      points.visible = burst < 1;
+
+      return true;
+    });
+  }
+
   removePlayer(id) {
     const player = this.players.get(id);
     if (player) {
@@ -452,46 +724,80 @@ export class TronScene {
     this.localPlayerId = id;
   }
 
+  // Point the camera at another player instead of ours: `follow` keeps tracking
+  // them, otherwise the camera stays where they were when this was called
+  focusCamera(id, follow = false) {
+    const player = this.players.get(id);
+    if (!player) return false;
+
+    this.cameraFocus = { id, follow, position: player.position.clone() };
+    return true;
+  }
+
+  clearCameraFocus() {
+    this.cameraFocus = null;
+  }
+
+  getCameraFocus() {
+    return this.cameraFocus;
+  }
+
+  // Where the camera orbits: our cube, or the focused player / spot
+  getCameraTarget() {
+    // A followed player who left ends the follow
+    if (this.cameraFocus?.follow && !this.players.has(this.cameraFocus.id)) {
+      this.cameraFocus = null;
+    }
+
+    if (this.cameraFocus) {
+      return this.cameraFocus.follow
+        ? this.players.get(this.cameraFocus.id).position
+        : this.cameraFocus.position;
+    }
+    return this.localPlayerId ? this.players.get(this.localPlayerId)?.position || null : null;
+  }
+
   updateCamera(rotation = 0, pitch = 0, zoom = 1.0) {
-    // Follow local player with rotation, pitch, and zoom
-    if (this.localPlayerId) {
-      const localPlayer = this.players.get(this.localPlayerId);
-      if (localPlayer) {
-        const baseDistance = 15; // Base camera distance
-        const distance = baseDistance * zoom; // Apply zoom to distance
-        const baseHeight = 10;   // Base camera height
-        
-        // Calculate camera position based on rotation and pitch
-        // Pitch affects the vertical position and distance
-        const horizontalDistance = distance * Math.cos(pitch);
-        const verticalOffset = distance * Math.sin(pitch);
-        
-        // Use direct positioning for immediate, smooth response
-        this.camera.position.set(
-          localPlayer.position.x + Math.sin(rotation) * horizontalDistance,
-          localPlayer.position.y + baseHeight + verticalOffset,
-          localPlayer.position.z + Math.cos(rotation) * horizontalDistance
-        );
-        
-        // Look at a point offset from the player based on pitch
-        const lookAtTarget = new THREE.Vector3(
-          localPlayer.position.x,
-          localPlayer.position.y - Math.tan(pitch) * 5,
-          localPlayer.position.z
-        );
-        this.camera.lookAt(lookAtTarget);
-      }
+    // Follow local player (or the focused one) with rotation, pitch, and zoom
+    const target = this.getCameraTarget();
+    if (target) {
+      const baseDistance = 15; // Base camera distance
+      const distance = baseDistance * zoom; // Apply zoom to distance
+      const baseHeight = 10;   // Base camera height
+      
+      // Calculate camera position based on rotation and pitch
+      // Pitch affects the vertical position and distance
+      const horizontalDistance = distance * Math.cos(pitch);
+      const verticalOffset = distance * Math.sin(pitch);
+      
+      // Use direct positioning for immediate, smooth response
+      this.camera.position.set(
+        target.x + Math.sin(rotation) * horizontalDistance,
+        target.y + baseHeight + verticalOffset,
+        target.z + Math.cos(rotation) * horizontalDistance
+      );
+      
+      // Look at a point offset from the player based on pitch
+      const lookAtTarget = new THREE.Vector3(
+        target.x,
+        target.y - Math.tan(pitch) * 5,
+        target.z
+      );
+      this.camera.lookAt(lookAtTarget);
     }
   }
 
   render(rotation = 0, pitch = 0, zoom = 1.0) {
     this.updateCamera(rotation, pitch, zoom);
     
-    // Check if grid needs expansion
-    const localPlayerPos = this.getLocalPlayerPosition();
-    if (localPlayerPos) {
-      this.expandGrid(localPlayerPos);
+    // Check if grid needs expansion around wherever the camera is
+    const cameraTarget = this.getCameraTarget();
+    if (cameraTarget) {
+      this.expandGrid(cameraTarget);
     }
+
+    this.updateChatBubbles();
+    this.updateReactions();
     
     this.renderer.render(this.scene, this.camera);
   }
@@ -502,6 +808,28 @@ export class TronScene {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
+  // Whether a player's cube is in the camera's view, and how directly we look at it
+  // Returns { onScreen, facing } (facing: cosine of the angle off the view direction), or null
+  getPlayerVisibility(id) {
+    const player = this.players.get(id);
+    if (!player) return null;
+
+    this.camera.updateMatrixWorld();
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(
+      this.camera.projectionMatrix,
+      this.camera.matrixWorldInverse
+    );
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(viewProjection);
+
+    const toPlayer = player.position.clone().sub(this.camera.position).normalize();
+    const viewDirection = this.camera.getWorldDirection(new THREE.Vector3());
+
+    return {
+      onScreen: frustum.intersectsObject(player),
+      facing: viewDirection.dot(toPlayer)
+    };
+  }
+
   getLocalPlayerPosition() {
     if (this.localPlayerId) {
       const player = this.players.get(this.localPlayerId);
@@ -0,0 +1,136 @@
+// Chat panel: message history plus an input with a scope picker
+// Enter focuses the input (and sends), Escape leaves it. While the input has
+// focus, PlayerController ignores the keys, so typing doesn't move the cube.
+
+import { MAX_CHAT_LENGTH } from '../p2p/chat.js';
+
+const URL_PATTERN = /(https?:\/\/[^\s]+)/g;
+
+export class ChatPanel {
+  constructor(container, chat, network) {
+    this.container = container;
+    this.chat = chat;
+    this.network = network;
+
+    container.innerHTML = `
+      <div id="chat-messages"></div>
+      <form id="chat-form">
+        <select id="chat-scope" title="Who receives your message"></select>
+        <input type="text" id="chat-input" maxlength="${MAX_CHAT_LENGTH}" placeholder="Press Enter to chat" autocomplete="off">
+      </form>
+    `;
+    this.messages = container.querySelector('#chat-messages');
+    this.form = container.querySelector('#chat-form');
+    this.scopeSelect = container.querySelector('#chat-scope');
+    this.input = container.querySelector('#chat-input');
+
+    this.updateScopeOptions();
+    // Peers come and go - refresh the DM list whenever the picker is opened
+    this.scopeSelect.addEventListener('focus', () => this.updateScopeOptions());
+    this.scopeSelect.addEventListener('mousedown', () => this.updateScopeOptions());
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.sendInput();
+    });
+
+    this.input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.input.blur();
+      }
+    });
+
+    // Enter anywhere else jumps into the chat input
+    window.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter' || event.target === this.input) return;
+      const tag = event.target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || tag === 'BUTTON') return;
+
+      event.preventDefault();
+      if (document.pointerLockElement) {
+        document.exitPointerLock();
+      }
+      this.input.focus();
+    });
+
+    chat.getHistory().forEach(entry => this.appendEntry(entry));
+    chat.onMessage(entry => this.appendEntry(entry));
+  }
+
+  sendInput() {
+    const [scope, targetPeerId] = this.scopeSelect.value.split(':');
+    const entry = this.chat.send(this.input.value, scope, targetPeerId || null);
+    this.input.value = '';
+    if (entry) {
+      // Back to moving around after sending
+      this.input.blur();
+    }
+  }
+
+  updateScopeOptions() {
+    const selected = this.scopeSelect.value || 'nearby';
+    const options = [
+      { value: 'nearby', label: 'Nearby' },
+      { value: 'room', label: 'Room' },
+      ...this.network.getPeers().map(peer => ({
+        value: `dm:${peer.id}`,
+        label: `DM ${peer.name || peer.id.substring(0, 8)}`
+      }))
+    ];
+
+    this.scopeSelect.replaceChildren(...options.map(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    // A DM partner who left falls back to nearby
+    this.scopeSelect.value = options.some(option => option.value === selected) ? selected : 'nearby';
+  }
+
+  getDisplayName(peerId, name) {
+    if (peerId === this.network.localPlayer.id) return 'You';
+    return name || this.network.peers.get(peerId)?.name || `${peerId.substring(0, 8)}...`;
+  }
+
+  appendEntry(entry) {
+    const line = document.createElement('div');
+    line.className = `chat-line chat-${entry.scope}`;
+
+    if (entry.scope !== 'nearby') {
+      const tag = document.createElement('span');
+      tag.className = 'chat-tag';
+      tag.textContent = entry.scope === 'room'
+        ? '[Room] '
+        : entry.own ? `[DM → ${this.getDisplayName(entry.to)}] ` : '[DM] ';
+      line.appendChild(tag);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.style.color = entry.color || '#ffffff';
+    name.textContent = `${this.getDisplayName(entry.peerId, entry.name)}: `;
+    line.appendChild(name);
+
+    // Text is never parsed as HTML; only http(s) links become anchors
+    entry.text.split(URL_PATTERN).forEach((part, index) => {
+      if (index % 2 === 1) {
+        const link = document.createElement('a');
+        link.href = part;
+        link.textContent = part;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        line.appendChild(link);
+      } else if (part) {
+        line.appendChild(document.createTextNode(part));
+      }
+    });
+
+    // Stay at the bottom unless the user scrolled up to read history
+    const atBottom = this.messages.scrollHeight - this.messages.scrollTop - this.messages.clientHeight < 20;
+    this.messages.appendChild(line);
+    if (atBottom) {
+      this.messages.scrollTop = this.messages.scrollHeight;
+    }
+  }
+}
@@ -0,0 +1,182 @@
+// Minimap: a top-down radar of the area around our cube, north (-Z) up
+// Drawn on a 2D canvas from the scene every frame - our cube is the arrow in
+// the middle pointing where we face, other cubes are dots in their colors
+// (pinned to the edge when out of view), shared screens are rectangles, and
+// the rings show how far video connects and voices carry.
+// Mouse wheel or the +/- buttons zoom; clicking the map turns us to face that way.
+
+import * as THREE from 'three';
+
+// Radius of the map in world units at each zoom step, closest first
+const ZOOM_LEVELS = [100, 250, 500, 1000, 2000];
+const DEFAULT_ZOOM = 2; // 500 units - both rings visible
+const DOT_RADIUS = 4;
+
+export class Minimap {
+  // `rings`: () => [{ radius, color }] - read every frame, so they follow settings
+  constructor(container, scene, network, controller, rings) {
+    this.container = container;
+    this.scene = scene;
+    this.network = network;
+    this.controller = controller;
+    this.rings = rings;
+
+    const savedZoom = parseInt(localStorage.getItem('minimapZoom'), 10);
+    this.zoomIndex = ZOOM_LEVELS[savedZoom] ? savedZoom : DEFAULT_ZOOM;
+
+    container.innerHTML = `
+      <canvas id="minimap-canvas" title="Click to face that way"></canvas>
+      <div id="minimap-zoom">
+        <button data-zoom="-1" title="Zoom in">+</button>
+        <button data-zoom="1" title="Zoom out">−</button>
+      </div>
+    `;
+    this.canvas = container.querySelector('#minimap-canvas');
+    this.context = this.canvas.getContext('2d');
+
+    container.querySelectorAll('#minimap-zoom button').forEach((button) => {
+      button.addEventListener('click', () => this.setZoom(this.zoomIndex + parseInt(button.dataset.zoom, 10)));
+    });
+
+    // Keep the wheel from also zooming the 3D camera (PlayerController listens on window)
+    this.canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.setZoom(this.zoomIndex + (event.deltaY > 0 ? 1 : -1));
+    }, { passive: false });
+
+    this.canvas.addEventListener('click', event => this.faceTowards(event));
+  }
+
+  setZoom(index) {
+    this.zoomIndex = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, index));
+    localStorage.setItem('minimapZoom', this.zoomIndex);
+  }
+
+  // Canvas pixels per world unit
+  getScale() {
+    return (this.canvas.width / 2) / ZOOM_LEVELS[this.zoomIndex];
+  }
+
+  // Turn our cube towards the clicked point; the cube's forward is (-sin, -cos) of the yaw
+  faceTowards(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (this.canvas.width / rect.width) - this.canvas.width / 2;
+    const y = (event.clientY - rect.top) * (this.canvas.height / rect.height) - this.canvas.height / 2;
+    if (x === 0 && y === 0) return;
+
+    this.controller.setRotation(Math.atan2(-x, -y));
+  }
+
+  // Match the canvas resolution to its CSS size (which changes on mobile)
+  resize() {
+    const size = Math.round(this.canvas.clientWidth * (window.devicePixelRatio || 1));
+    if (size > 0 && this.canvas.width !== size) {
+      this.canvas.width = size;
+      this.canvas.height = size;
+    }
+  }
+
+  // `billboards`: [{ mesh, color }] for every shared screen, ours included
+  update(billboards = []) {
+    const localPos = this.scene.getLocalPlayerPosition();
+    if (!localPos) return;
+
+    this.resize();
+    const ctx = this.context;
+    const size = this.canvas.width;
+    const center = size / 2;
+    const scale = this.getScale();
+    const pixelRatio = window.devicePixelRatio || 1;
+    const toMap = position => ({
+      x: center + (position.x - localPos.x) * scale,
+      y: center + (position.z - localPos.z) * scale
+    });
+
+    ctx.clearRect(0, 0, size, size);
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(center, center, center, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.fillStyle = 'rgba(0, 4, 40, 0.75)';
+    ctx.fillRect(0, 0, size, size);
+
+    // Proximity rings around us
+    ctx.lineWidth = pixelRatio;
+    ctx.setLineDash([4 * pixelRatio, 4 * pixelRatio]);
+    this.rings().forEach(({ radius, color }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(center, center, radius * scale, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Shared screens, as seen from above: width along the screen, depth across it
+    billboards.forEach(({ mesh, color }) => {
+      const { width, depth } = mesh.geometry.parameters;
+      const axis = new THREE.Vector3(1, 0, 0).applyQuaternion(mesh.quaternion);
+      const { x, y } = toMap(mesh.position);
+      const thickness = Math.max(depth * scale, 2 * pixelRatio); // Stays visible when zoomed out
+
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(Math.atan2(axis.z, axis.x));
+      ctx.fillStyle = color;
+      ctx.fillRect(-width * scale / 2, -thickness / 2, width * scale, thickness);
+      ctx.restore();
+    });
+
+    // Other cubes - anyone out of view sits on the edge in their direction
+    const dotRadius = DOT_RADIUS * pixelRatio;
+    this.scene.players.forEach((mesh, peerId) => {
+      if (peerId === this.network.localPlayer.id) return;
+
+      let { x, y } = toMap(mesh.position);
+      const dx = x - center;
+      const dy = y - center;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const maxDistance = center - dotRadius;
+      const outOfView = distance > maxDistance;
+      if (outOfView) {
+        x = center + dx / distance * maxDistance;
+        y = center + dy / distance * maxDistance;
+      }
+
+      ctx.globalAlpha = outOfView ? 0.5 : 1;
+      ctx.fillStyle = this.network.peers.get(peerId)?.color || '#ffffff';
+      ctx.beginPath();
+      ctx.arc(x, y, dotRadius, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+
+    // Us: an arrow pointing where the cube faces
+    const rotation = this.controller.getRotation();
+    const arrow = 8 * pixelRatio;
+    ctx.save();
+    ctx.translate(center, center);
+    ctx.rotate(-rotation);
+    ctx.fillStyle = this.network.localPlayer.color;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = pixelRatio;
+    ctx.beginPath();
+    ctx.moveTo(0, -arrow);
+    ctx.lineTo(arrow * 0.7, arrow);
+    ctx.lineTo(0, arrow * 0.5);
+    ctx.lineTo(-arrow * 0.7, arrow);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.restore();
+
+    // Border
+    ctx.strokeStyle = '#00ffff';
+    ctx.lineWidth = 2 * pixelRatio;
+    ctx.beginPath();
+    ctx.arc(center, center, center - pixelRatio, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
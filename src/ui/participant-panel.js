@@ -0,0 +1,150 @@
+// Participant panel: everyone in the room with their color, media state,
+// whether they're talking and how far away they are, nearest first.
+// Each row has local-only actions - nobody else sees what you pick here:
+//   Go to  - point the camera at where they are now
+//   Follow - keep the camera on them as they move
+//   Mute   - silence their voice and screen audio
+//   Hide   - stop showing (and receiving) their camera video
+// Rows are updated in place so buttons stay clickable between refreshes.
+
+export class ParticipantPanel {
+  // `actions`: { focus(peerId, follow), getFocus(), setMuted(peerId, muted),
+  //              isMuted(peerId), setVideoHidden(peerId, hidden), isVideoHidden(peerId) }
+  constructor(container, network, remotePlayers, voiceActivity, actions) {
+    this.container = container;
+    this.network = network;
+    this.remotePlayers = remotePlayers;
+    this.voiceActivity = voiceActivity;
+    this.actions = actions;
+    this.rows = new Map(); // peerId -> { element, fields... }
+
+    container.innerHTML = `
+      <h3>People <span id="participant-count"></span></h3>
+      <div id="participant-list"></div>
+    `;
+    this.count = container.querySelector('#participant-count');
+    this.list = container.querySelector('#participant-list');
+  }
+
+  isOpen() {
+    return this.container.style.display !== 'none';
+  }
+
+  toggle() {
+    this.container.style.display = this.isOpen() ? 'none' : 'block';
+    this.update();
+  }
+
+  getDisplayName(peerId, name) {
+    return name || `${peerId.substring(0, 8)}...`;
+  }
+
+  getMediaState(data) {
+    if (!data.hasMedia) return 'no media';
+    return `${data.micMuted ? '🔇' : '🎤'} ${data.camOff ? '🚫' : '📷'}`;
+  }
+
+  createRow(peerId) {
+    const element = document.createElement('div');
+    element.className = 'participant';
+    element.innerHTML = `
+      <span class="participant-color"></span>
+      <span class="participant-name"></span>
+      <span class="participant-media"></span>
+      <span class="participant-distance"></span>
+      <div class="participant-actions">
+        <button data-action="goto" title="Point the camera at them">Go to</button>
+        <button data-action="follow" title="Keep the camera on them">Follow</button>
+        <button data-action="mute" title="Mute them for you only">Mute</button>
+        <button data-action="hide" title="Hide their video for you only">Hide video</button>
+      </div>
+    `;
+
+    const row = {
+      element,
+      color: element.querySelector('.participant-color'),
+      name: element.querySelector('.participant-name'),
+      media: element.querySelector('.participant-media'),
+      distance: element.querySelector('.participant-distance'),
+      actions: element.querySelector('.participant-actions'),
+      buttons: {}
+    };
+    element.querySelectorAll('button').forEach((button) => {
+      row.buttons[button.dataset.action] = button;
+      button.addEventListener('click', () => this.handleAction(peerId, button.dataset.action));
+    });
+    return row;
+  }
+
+  handleAction(peerId, action) {
+    const focus = this.actions.getFocus();
+    if (action === 'goto') {
+      this.actions.focus(peerId, false);
+    } else if (action === 'follow') {
+      // Follow again to stop following
+      const following = focus?.id === peerId && focus.follow;
+      this.actions.focus(following ? null : peerId, true);
+    } else if (action === 'mute') {
+      this.actions.setMuted(peerId, !this.actions.isMuted(peerId));
+    } else if (action === 'hide') {
+      this.actions.setVideoHidden(peerId, !this.actions.isVideoHidden(peerId));
+    }
+    this.update();
+  }
+
+  // Refresh rows from the network state - cheap enough to call a few times a second
+  update() {
+    const localPlayer = this.network.localPlayer;
+    this.count.textContent = `(${this.remotePlayers.size + 1})`;
+    if (!this.isOpen()) return;
+
+    const entries = [{ peerId: localPlayer.id, data: localPlayer, distance: 0, local: true }];
+    const remote = [];
+    this.remotePlayers.forEach((peerId) => {
+      const data = this.network.peers.get(peerId);
+      if (!data) return;
+      const distance = data.position ? this.network.getDistanceToPeer(data) : Infinity;
+      remote.push({ peerId, data, distance, local: false });
+    });
+    remote.sort((a, b) => a.distance - b.distance);
+    entries.push(...remote);
+
+    const focus = this.actions.getFocus();
+    const elements = entries.map(({ peerId, data, distance, local }) => {
+      let row = this.rows.get(peerId);
+      if (!row) {
+        row = this.createRow(peerId);
+        this.rows.set(peerId, row);
+      }
+
+      row.color.style.background = data.color || '#ffffff';
+      row.name.textContent = local ? `${this.getDisplayName(peerId, data.name)} (you)` : this.getDisplayName(peerId, data.name);
+      row.media.textContent = this.getMediaState(data);
+      row.distance.textContent = local ? '' : Number.isFinite(distance) ? `${Math.round(distance)}` : '?';
+      row.element.classList.toggle('speaking', this.voiceActivity.isSpeaking(peerId));
+      row.actions.style.display = local ? 'none' : '';
+
+      if (!local) {
+        row.buttons.follow.classList.toggle('active', focus?.id === peerId && focus.follow);
+        row.buttons.goto.classList.toggle('active', focus?.id === peerId && !focus.follow);
+        row.buttons.mute.classList.toggle('active', this.actions.isMuted(peerId));
+        row.buttons.hide.classList.toggle('active', this.actions.isVideoHidden(peerId));
+      }
+      return row.element;
+    });
+
+    // Forget rows of people who left
+    const present = new Set(entries.map(entry => entry.peerId));
+    [...this.rows.keys()].forEach((peerId) => {
+      if (!present.has(peerId)) {
+        this.rows.delete(peerId);
+      }
+    });
+
+    // Only touch the DOM when the order changed - moving a row mid-click loses the click
+    const children = [...this.list.children];
+    if (children.length !== elements.length || children.some((child, index) => child !== elements[index])) {
+      this.list.replaceChildren(...elements);
+    }
+  }
+}